@@ -1,10 +1,36 @@
 /**
- * Campaign Generator for "Noodlednd.me VTT v4.0"
- * Creates "The Ruins of Ashenvale" - improved edge connectivity & river continuity
+ * Campaign Generator for Noodlednd.me
+ * Paints a world of 400×400 terrain cells from biome painters and writes a
+ * campaign file that imports through the site's Campaign Manager.
+ *
+ *   node generate_campaign.js [options]
+ *
+ *   --seed <n|text>        noise + feature seed (default 2226); same seed → same bytes
+ *   --cols <n>, --rows <n> world size in cells, 1–12 (default 3×3)
+ *   --layout <rows>        biomes row by row: "forest,trail,peaks;river,ruins,tower;…"
+ *   --biome <c,r=biome>    set one cell (repeatable; wins over --layout)
+ *   --start <c,r>          cell the party starts in, revealed from fog (default centre)
+ *   --name <text>          campaign name (default "The Ruins of Ashenvale")
+ *   --out <path>           output file (default campaigns/<name>.json)
+ *   --party <file.json>    party roster (staging tokens)
+ *   --monsters <file.json> monster roster (placed tokens); "none" for an empty map
+ *   --dungeon              rooms and corridors instead of outdoor biomes, with
+ *                          door/trap stamps and a room key (<name>.rooms.json)
+ *   --rooms <n>            dungeon room count (default 1.5 per cell)
+ *   --list-biomes          print the biome names and exit
+ *
+ * Roster files are JSON arrays of
+ *   { name, icon, color?, size?, count?, cell?: "c,r", x?, y?, hp?, hpMax?, ac?, speed?, owner? }
+ * Monsters without x/y are scattered inside `cell` (or any cell but the start).
+ * Cells not given a biome are picked from the seed; without --monsters each
+ * cell gets its biome's default encounter. In a dungeon, monsters from the
+ * roster are spread through the rooms and the party starts in the entrance
+ * room nearest --start, the only part not under fog.
  */
 
 const zlib = require('zlib');
 const fs   = require('fs');
+const path = require('path');
 
 // ─── PNG encoder (pure Node, no deps) ────────────────────────────────────────
 
@@ -102,809 +128,1252 @@ function edgeBlend(x, y, r, g, b, edges) {
   return [clamp(fr,0,255), clamp(fg,0,255), clamp(fb,0,255)];
 }
 
-// ─── Neighbor color constants (center colors of each cell) ───────────────────
-const C_FOREST    = [30, 70, 24];   // Elderwood Forest
-const C_TRAIL_E   = [38, 85, 28];   // Forest Trail (edge, no path)
-const C_PEAKS     = [112, 104, 98]; // Stormcrest Peaks
-const C_BANK      = [42, 96, 32];   // Silverbrook river bank grass
-const C_WATER     = [44, 122, 180]; // Silverbrook river water
-const C_RUINS     = [120, 112, 103];// Ruins Courtyard stone
-const C_TOWER     = [92, 85, 79];   // Sunken Tower rubble
-const C_CAVE      = [72, 68, 63];   // Cave entrance rock
-const C_UNDER     = [40, 36, 32];   // Underhalls dark stone
-const C_GRAVE     = [42, 54, 38];   // Graveyard earth
-
-// ──── Cell 0,0 – Elderwood Forest ────────────────────────────────────────────
-// Neighbors: right→(1,0) Trail, bottom→(0,1) River
-function cell_0_0() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x / 80, ny = y / 80;
-    const n = fbm(nx, ny, 42);
-    const n2 = fbm(nx * 2 + 7.3, ny * 2 + 1.8, 99);
-
-    let r = clamp(Math.round(lerp(20, 45, n)),  0, 255);
-    let g = clamp(Math.round(lerp(55, 95, n)),  0, 255);
-    let b = clamp(Math.round(lerp(18, 40, n)),  0, 255);
-
-    if (n2 > 0.62) { r -= 5; g += 10; b -= 5; }
-
-    // Tree canopies
-    const treeSeeds = [
-      [60,60],[150,40],[330,70],[50,200],[290,160],[180,290],
-      [90,340],[360,310],[230,80],[130,170],[310,240],[70,130],
-      [250,360],[380,150],[200,230]
-    ];
-    for (const [tx,ty] of treeSeeds) {
-      const d = Math.hypot(x-tx, y-ty);
-      if (d < 28) {
-        const shade = d / 28;
-        r = Math.round(lerp(12, r, shade * shade));
-        g = Math.round(lerp(38, g, shade * shade));
-        b = Math.round(lerp(10, b, shade * shade));
-      }
-      if (d < 5) { r=45; g=28; b=14; }
-    }
 
-    // Fallen log
-    const logY = 250, lx1=100, lx2=290;
-    if (Math.abs(y - logY) < 6 && x > lx1 && x < lx2) {
-      r=90; g=55; b=30;
-      if (Math.abs(y - logY) < 2) { r=70; g=42; b=22; }
-    }
+// ─── Seeded randomness ────────────────────────────────────────────────────────
+// Everything random goes through these so one seed always paints the same map.
 
-    // Stream feeding into the river below (bottom-center area, y > 280)
-    // River in (0,1) is centered ~x=200; continue it up into this cell
-    if (y > 270) {
-      const streamC = 200 + Math.sin(y / 55) * 20 + Math.sin(y / 22 + 0.7) * 8;
-      const streamW = 35 * clamp((y - 270) / 130, 0, 1);
-      const dStream = Math.abs(x - streamC);
-      if (dStream < streamW) {
-        const t = 1 - dStream / streamW;
-        const wn = fbm(x/20, y/20, 22);
-        const wr = Math.round(lerp(38, 60, wn));
-        const wg = Math.round(lerp(105, 148, wn));
-        const wb = Math.round(lerp(158, 205, wn));
-        r = Math.round(lerp(r, wr, t * t * 0.9));
-        g = Math.round(lerp(g, wg, t * t * 0.9));
-        b = Math.round(lerp(b, wb, t * t * 0.9));
-      }
-    }
+function seedFrom(value) {
+  if (/^-?\d+$/.test(String(value))) return Math.abs(parseInt(value, 10)) >>> 0;
+  let h = 2166136261;
+  for (const ch of String(value)) h = Math.imul(h ^ ch.codePointAt(0), 16777619) >>> 0;
+  return h;
+}
 
-    // Edge blending toward neighbors
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['b', C_BANK,   70, 0.70],  // blend toward river bank at bottom
-      ['r', C_TRAIL_E, 50, 0.55], // blend toward trail at right
-    ]);
+function mulberry32(a) {
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-    return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
-  });
+// Nudge hand-placed features so each seed (and each cell) gets its own layout
+function jitter(rng, points, amt) {
+  return points.map(([px, py, ...rest]) => [
+    Math.round(px + (rng() * 2 - 1) * amt),
+    Math.round(py + (rng() * 2 - 1) * amt),
+    ...rest
+  ]);
 }
 
-// ──── Cell 1,0 – Forest Trail ─────────────────────────────────────────────────
-// Neighbors: left→(0,0) Forest, right→(2,0) Peaks, bottom→(1,1) Ruins
-function cell_1_0() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x / 80, ny = y / 80;
-    const n = fbm(nx, ny, 77);
-
-    let r = clamp(Math.round(lerp(25, 60, n)), 0, 255);
-    let g = clamp(Math.round(lerp(70, 110, n)), 0, 255);
-    let b = clamp(Math.round(lerp(20, 48, n)), 0, 255);
-
-    // Central dirt path (wiggly, continuous from top to bottom)
-    const pathCenter = 200 + Math.sin(y / 40) * 18 + Math.sin(y/17+1.2) * 8;
-    const pathWidth  = 52;
-    const distPath   = Math.abs(x - pathCenter);
-    if (distPath < pathWidth) {
-      const t = 1 - distPath / pathWidth;
-      const pn = fbm(x/30, y/30, 13);
-      // Path color transitions from dirt toward stone at the bottom (→ ruins)
-      const stoneBlend = clamp((y - 300) / 100, 0, 1);
-      const pr = Math.round(lerp(lerp(130, 165, pn), C_RUINS[0], stoneBlend));
-      const pg = Math.round(lerp(lerp(100, 130, pn), C_RUINS[1], stoneBlend));
-      const pb = Math.round(lerp(lerp( 60,  85, pn), C_RUINS[2], stoneBlend));
-      r = Math.round(lerp(r, pr, t * t));
-      g = Math.round(lerp(g, pg, t * t));
-      b = Math.round(lerp(b, pb, t * t));
-      if (distPath < 5 || (distPath > pathWidth-8 && distPath < pathWidth-3)) {
-        r = Math.round(r * 0.82); g = Math.round(g * 0.82); b = Math.round(b * 0.82);
-      }
-    }
+// ─── Biomes ───────────────────────────────────────────────────────────────────
+// Each biome takes the cell context c = { s, rng, nb } and returns a pixel
+// function (x, y) → [r, g, b]; edge blending toward neighbours happens after.
+//   s   noise seed for this cell
+//   rng seeded random for feature placement
+//   nb  neighbouring biome names { t, b, l, r } (null off the world edge)
+// `color` is the biome's centre colour, which neighbours blend toward.
 
-    // Tree canopies along sides
-    const trees = [
-      [45,50],[35,130],[55,220],[40,310],[48,390],
-      [355,30],[365,110],[345,200],[360,290],[350,370]
-    ];
-    for (const [tx,ty] of trees) {
-      const d = Math.hypot(x-tx, y-ty);
-      if (d < 35) {
-        const shade = d / 35;
-        r = Math.round(lerp(15, r, shade));
-        g = Math.round(lerp(42, g, shade));
-        b = Math.round(lerp(12, b, shade));
-      }
-      if (d < 5) { r=55; g=34; b=18; }
-    }
+const GOLD   = '#c8922a';
+const RED    = '#9b2335';
+const BLUE   = '#1e3a5f';
+const GREEN  = '#1a4a2e';
+const PURPLE = '#4a1a7a';
+const GREY   = '#3a3a3a';
 
-    // Signpost near top of path
-    if (Math.abs(x - 230) < 4 && y > 20 && y < 70) { r=100; g=65; b=30; }
-    if (Math.abs(y - 25) < 5 && x > 215 && x < 275) { r=100; g=65; b=30; }
+// Shared by the river, the forest stream and the cave inflow so they line up
+function riverCentre(y) { return 200 + Math.sin(y/55)*25 + Math.sin(y/22+0.7)*10; }
+function riverWater(x, y, s) {
+  const wn = fbm(x/25+3, y/25+3, s + 22);
+  return [Math.round(lerp(35, 65, wn)), Math.round(lerp(100,150, wn)), Math.round(lerp(160,210, wn))];
+}
 
-    // Edge blending toward neighbors
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['l', C_FOREST,  50, 0.60],  // forest on left
-      ['r', C_PEAKS,   60, 0.65],  // peaks on right
-      ['b', C_RUINS,   75, 0.70],  // ruins courtyard below
-    ]);
+const BIOMES = {
+
+  // ──── Elderwood Forest ──────────────────────────────────────────────────────
+  forest: {
+    label: 'Elderwood Forest',
+    color: [30, 70, 24],
+    monsters: [
+      { name: 'Wolf', icon: '🐺', color: GREY, size: 12, count: 2, hp: 11, hpMax: 11, ac: 13, speed: 40 },
+    ],
+    paint(c) {
+      const treeSeeds = jitter(c.rng, [
+        [60,60],[150,40],[330,70],[50,200],[290,160],[180,290],
+        [90,340],[360,310],[230,80],[130,170],[310,240],[70,130],
+        [250,360],[380,150],[200,230]
+      ], 14);
+      const logY = 200 + Math.round(c.rng() * 100), lx1 = 100, lx2 = 290;
+      const stream = c.nb.b === 'river';
+      return (x, y) => {
+        const nx = x / 80, ny = y / 80;
+        const n = fbm(nx, ny, c.s + 42);
+        const n2 = fbm(nx * 2 + 7.3, ny * 2 + 1.8, c.s + 99);
+
+        let r = clamp(Math.round(lerp(20, 45, n)),  0, 255);
+        let g = clamp(Math.round(lerp(55, 95, n)),  0, 255);
+        let b = clamp(Math.round(lerp(18, 40, n)),  0, 255);
+
+        if (n2 > 0.62) { r -= 5; g += 10; b -= 5; }
+
+        // Tree canopies
+        for (const [tx,ty] of treeSeeds) {
+          const d = Math.hypot(x-tx, y-ty);
+          if (d < 28) {
+            const shade = d / 28;
+            r = Math.round(lerp(12, r, shade * shade));
+            g = Math.round(lerp(38, g, shade * shade));
+            b = Math.round(lerp(10, b, shade * shade));
+          }
+          if (d < 5) { r=45; g=28; b=14; }
+        }
 
-    return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
-  });
-}
+        // Fallen log
+        if (Math.abs(y - logY) < 6 && x > lx1 && x < lx2) {
+          r=90; g=55; b=30;
+          if (Math.abs(y - logY) < 2) { r=70; g=42; b=22; }
+        }
 
-// ──── Cell 2,0 – Stormcrest Peaks ────────────────────────────────────────────
-// Neighbors: left→(1,0) Trail, bottom→(2,1) Tower
-function cell_2_0() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x/100, ny = y/100;
-    const n  = fbm(nx, ny, 33);
-    const n2 = fbm(nx*2+1.3, ny*2+1.3, 77, 3);
-
-    let r = Math.round(lerp(90, 138, n));
-    let g = Math.round(lerp(85, 128, n));
-    let b = Math.round(lerp(80, 120, n));
-
-    // Snow/frost patches
-    const snowN = fbm(nx*1.4+3, ny*1.4+3, 22, 3);
-    if (snowN > 0.63) {
-      const st = clamp((snowN - 0.63) / 0.37, 0, 1);
-      r = Math.round(lerp(r, 228, st));
-      g = Math.round(lerp(g, 232, st));
-      b = Math.round(lerp(b, 240, st));
-    }
+        // Stream feeding a river in the cell below
+        if (stream && y > 270) {
+          const streamC = 200 + Math.sin(y / 55) * 20 + Math.sin(y / 22 + 0.7) * 8;
+          const streamW = 35 * clamp((y - 270) / 130, 0, 1);
+          const dStream = Math.abs(x - streamC);
+          if (dStream < streamW) {
+            const t = 1 - dStream / streamW;
+            const wn = fbm(x/20, y/20, c.s + 22);
+            r = Math.round(lerp(r, Math.round(lerp(38, 60, wn)),  t * t * 0.9));
+            g = Math.round(lerp(g, Math.round(lerp(105, 148, wn)), t * t * 0.9));
+            b = Math.round(lerp(b, Math.round(lerp(158, 205, wn)), t * t * 0.9));
+          }
+        }
+        return [r, g, b];
+      };
+    },
+  },
 
-    // Large boulders
-    const boulders = [
-      [70, 55, 28],[250, 40, 22],[355, 95, 18],
-      [130,175, 24],[305,215, 26],[55, 290, 20],
-      [195,335, 22],[360,275, 16],[175, 90, 14],
-      [320,155, 20],[90, 155, 18],[270,340, 18]
-    ];
-    for (const [bx, by, br] of boulders) {
-      const d = Math.hypot(x-bx, y-by);
-      if (d < br) {
-        const bn = fbm((x-bx)/8, (y-by)/8, 99, 2);
-        r = Math.round(lerp(50, Math.round(lerp(82, 118, bn)), d/br));
-        g = Math.round(lerp(48, Math.round(lerp(77, 110, bn)), d/br));
-        b = Math.round(lerp(45, Math.round(lerp(72, 104, bn)), d/br));
-        if (x > bx + br*0.3 && y > by + br*0.3 && d > br*0.6) {
-          r = Math.round(r * 0.58); g = Math.round(g * 0.58); b = Math.round(b * 0.58);
+  // ──── Forest Trail ──────────────────────────────────────────────────────────
+  trail: {
+    label: 'Forest Trail',
+    color: [38, 85, 28],
+    monsters: [
+      { name: 'Goblin Scout',  icon: '👹', color: RED, size: 14, hp: 7, hpMax: 7, ac: 15 },
+      { name: 'Goblin Archer', icon: '👹', color: RED, size: 14, hp: 7, hpMax: 7, ac: 13 },
+    ],
+    paint(c) {
+      const trees = jitter(c.rng, [
+        [45,50],[35,130],[55,220],[40,310],[48,390],
+        [355,30],[365,110],[345,200],[360,290],[350,370]
+      ], 10);
+      // Path turns to stone where it runs into ruins below
+      const stoneBelow = c.nb.b === 'ruins';
+      return (x, y) => {
+        const nx = x / 80, ny = y / 80;
+        const n = fbm(nx, ny, c.s + 77);
+
+        let r = clamp(Math.round(lerp(25, 60, n)), 0, 255);
+        let g = clamp(Math.round(lerp(70, 110, n)), 0, 255);
+        let b = clamp(Math.round(lerp(20, 48, n)), 0, 255);
+
+        // Central dirt path (wiggly, continuous from top to bottom)
+        const pathCenter = 200 + Math.sin(y / 40) * 18 + Math.sin(y/17+1.2) * 8;
+        const pathWidth  = 52;
+        const distPath   = Math.abs(x - pathCenter);
+        if (distPath < pathWidth) {
+          const t = 1 - distPath / pathWidth;
+          const pn = fbm(x/30, y/30, c.s + 13);
+          const stoneBlend = stoneBelow ? clamp((y - 300) / 100, 0, 1) : 0;
+          const stone = BIOMES.ruins.color;
+          const pr = Math.round(lerp(lerp(130, 165, pn), stone[0], stoneBlend));
+          const pg = Math.round(lerp(lerp(100, 130, pn), stone[1], stoneBlend));
+          const pb = Math.round(lerp(lerp( 60,  85, pn), stone[2], stoneBlend));
+          r = Math.round(lerp(r, pr, t * t));
+          g = Math.round(lerp(g, pg, t * t));
+          b = Math.round(lerp(b, pb, t * t));
+          if (distPath < 5 || (distPath > pathWidth-8 && distPath < pathWidth-3)) {
+            r = Math.round(r * 0.82); g = Math.round(g * 0.82); b = Math.round(b * 0.82);
+          }
         }
-      }
-    }
 
-    // Rock fissures
-    for (const [cx, cy, ang, len] of [
-      [155, 145, 0.4, 65],[310, 305, -0.3, 55],[210, 255, 0.85, 50]
-    ]) {
-      const dx = x-cx, dy = y-cy;
-      const along = dx * Math.cos(ang) + dy * Math.sin(ang);
-      const perp  = Math.abs(-dx * Math.sin(ang) + dy * Math.cos(ang));
-      if (perp < 2 && Math.abs(along) < len) {
-        r = Math.round(r * 0.48); g = Math.round(g * 0.48); b = Math.round(b * 0.48);
-      }
-    }
+        // Tree canopies along sides
+        for (const [tx,ty] of trees) {
+          const d = Math.hypot(x-tx, y-ty);
+          if (d < 35) {
+            const shade = d / 35;
+            r = Math.round(lerp(15, r, shade));
+            g = Math.round(lerp(42, g, shade));
+            b = Math.round(lerp(12, b, shade));
+          }
+          if (d < 5) { r=55; g=34; b=18; }
+        }
 
-    // Edge blending toward neighbors
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['l', C_TRAIL_E, 65, 0.65],  // forest trail on left
-      ['b', C_TOWER,   70, 0.70],  // tower below
-    ]);
+        // Signpost near top of path
+        if (Math.abs(x - 230) < 4 && y > 20 && y < 70) { r=100; g=65; b=30; }
+        if (Math.abs(y - 25) < 5 && x > 215 && x < 275) { r=100; g=65; b=30; }
+        return [r, g, b];
+      };
+    },
+  },
 
-    return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
-  });
-}
+  // ──── Stormcrest Peaks ──────────────────────────────────────────────────────
+  peaks: {
+    label: 'Stormcrest Peaks',
+    color: [112, 104, 98],
+    monsters: [
+      { name: 'Harpy', icon: '🦅', color: GREY, size: 14, hp: 38, hpMax: 38, ac: 11 },
+    ],
+    paint(c) {
+      const boulders = jitter(c.rng, [
+        [70, 55, 28],[250, 40, 22],[355, 95, 18],
+        [130,175, 24],[305,215, 26],[55, 290, 20],
+        [195,335, 22],[360,275, 16],[175, 90, 14],
+        [320,155, 20],[90, 155, 18],[270,340, 18]
+      ], 12);
+      const fissures = jitter(c.rng, [[155, 145, 0.4, 65],[310, 305, -0.3, 55],[210, 255, 0.85, 50]], 20);
+      return (x, y) => {
+        const nx = x/100, ny = y/100;
+        const n  = fbm(nx, ny, c.s + 33);
+
+        let r = Math.round(lerp(90, 138, n));
+        let g = Math.round(lerp(85, 128, n));
+        let b = Math.round(lerp(80, 120, n));
+
+        // Snow/frost patches
+        const snowN = fbm(nx*1.4+3, ny*1.4+3, c.s + 22, 3);
+        if (snowN > 0.63) {
+          const st = clamp((snowN - 0.63) / 0.37, 0, 1);
+          r = Math.round(lerp(r, 228, st));
+          g = Math.round(lerp(g, 232, st));
+          b = Math.round(lerp(b, 240, st));
+        }
 
-// ──── Cell 0,1 – Silverbrook Crossing ────────────────────────────────────────
-// Neighbors: top→(0,0) Forest, right→(1,1) Ruins, bottom→(0,2) Cave
-function cell_0_1() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x/80, ny = y/80;
-    const n = fbm(nx, ny, 11);
-
-    // Bank: green grass
-    let r = clamp(Math.round(lerp(30, 65, n)),  0,255);
-    let g = clamp(Math.round(lerp(80,120, n)),  0,255);
-    let b = clamp(Math.round(lerp(22, 50, n)),  0,255);
-
-    // River runs vertically through centre - meander matches cell 0,0 stream
-    const riverC = 200 + Math.sin(y/55)*25 + Math.sin(y/22+0.7)*10;
-    const riverW = 90;
-    const dRiver = Math.abs(x - riverC);
-    if (dRiver < riverW) {
-      const t = 1 - dRiver/riverW;
-      const wn = fbm(x/25+3, y/25+3, 22);
-      const wr = Math.round(lerp(35, 65, wn));
-      const wg = Math.round(lerp(100,150, wn));
-      const wb = Math.round(lerp(160,210, wn));
-      r = Math.round(lerp(r, wr, t));
-      g = Math.round(lerp(g, wg, t));
-      b = Math.round(lerp(b, wb, t));
-      // white water ripple
-      const ripple = Math.sin(x/8 + y/12) * 0.5 + 0.5;
-      if (ripple > 0.82 && t > 0.4) {
-        r=Math.round(lerp(r,200,0.4)); g=Math.round(lerp(g,220,0.4)); b=Math.round(lerp(b,240,0.4));
-      }
-    }
+        // Large boulders
+        for (const [bx, by, br] of boulders) {
+          const d = Math.hypot(x-bx, y-by);
+          if (d < br) {
+            const bn = fbm((x-bx)/8, (y-by)/8, c.s + 99, 2);
+            r = Math.round(lerp(50, Math.round(lerp(82, 118, bn)), d/br));
+            g = Math.round(lerp(48, Math.round(lerp(77, 110, bn)), d/br));
+            b = Math.round(lerp(45, Math.round(lerp(72, 104, bn)), d/br));
+            if (x > bx + br*0.3 && y > by + br*0.3 && d > br*0.6) {
+              r = Math.round(r * 0.58); g = Math.round(g * 0.58); b = Math.round(b * 0.58);
+            }
+          }
+        }
 
-    // Stepping stones
-    const stones = [[175,100],[190,140],[210,175],[195,215],[178,260]];
-    for (const [sx,sy] of stones) {
-      if (Math.hypot(x-sx, y-sy) < 12) {
-        const sn = fbm((x-sx)/5, (y-sy)/5, 88);
-        r=Math.round(lerp(100,140,sn)); g=Math.round(lerp(95,130,sn)); b=Math.round(lerp(90,120,sn));
-      }
-    }
+        // Rock fissures
+        for (const [cx, cy, ang, len] of fissures) {
+          const dx = x-cx, dy = y-cy;
+          const along = dx * Math.cos(ang) + dy * Math.sin(ang);
+          const perp  = Math.abs(-dx * Math.sin(ang) + dy * Math.cos(ang));
+          if (perp < 2 && Math.abs(along) < len) {
+            r = Math.round(r * 0.48); g = Math.round(g * 0.48); b = Math.round(b * 0.48);
+          }
+        }
+        return [r, g, b];
+      };
+    },
+  },
 
-    // Reed grass along banks
-    if (dRiver > riverW - 18 && dRiver < riverW + 12) {
-      if ((y + Math.floor(x/10)*7) % 20 < 4) {
-        r = Math.round(r * 0.55); g = Math.round(g * 0.9); b = Math.round(b * 0.5);
-      }
-    }
+  // ──── Silverbrook Crossing ──────────────────────────────────────────────────
+  river: {
+    label: 'Silverbrook Crossing',
+    color: [42, 96, 32],
+    monsters: [],
+    paint(c) {
+      const stones = jitter(c.rng, [[175,100],[190,140],[210,175],[195,215],[178,260]], 6);
+      return (x, y) => {
+        const nx = x/80, ny = y/80;
+        const n = fbm(nx, ny, c.s + 11);
+
+        // Bank: green grass
+        let r = clamp(Math.round(lerp(30, 65, n)),  0,255);
+        let g = clamp(Math.round(lerp(80,120, n)),  0,255);
+        let b = clamp(Math.round(lerp(22, 50, n)),  0,255);
+
+        // River runs vertically through centre, continuous across stacked cells
+        const riverW = 90;
+        const dRiver = Math.abs(x - riverCentre(y));
+        if (dRiver < riverW) {
+          const t = 1 - dRiver/riverW;
+          const [wr, wg, wb] = riverWater(x, y, c.s);
+          r = Math.round(lerp(r, wr, t));
+          g = Math.round(lerp(g, wg, t));
+          b = Math.round(lerp(b, wb, t));
+          // white water ripple
+          const ripple = Math.sin(x/8 + y/12) * 0.5 + 0.5;
+          if (ripple > 0.82 && t > 0.4) {
+            r=Math.round(lerp(r,200,0.4)); g=Math.round(lerp(g,220,0.4)); b=Math.round(lerp(b,240,0.4));
+          }
+        }
 
-    // Edge blending toward neighbors
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['t', C_FOREST, 60, 0.65],   // forest above
-      ['r', C_RUINS,  65, 0.65],   // ruins to the right
-      ['b', C_CAVE,   70, 0.72],   // cave below
-    ]);
+        // Stepping stones
+        for (const [sx,sy] of stones) {
+          if (Math.hypot(x-sx, y-sy) < 12) {
+            const sn = fbm((x-sx)/5, (y-sy)/5, c.s + 88);
+            r=Math.round(lerp(100,140,sn)); g=Math.round(lerp(95,130,sn)); b=Math.round(lerp(90,120,sn));
+          }
+        }
 
-    return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
-  });
-}
+        // Reed grass along banks
+        if (dRiver > riverW - 18 && dRiver < riverW + 12) {
+          if ((y + Math.floor(x/10)*7) % 20 < 4) {
+            r = Math.round(r * 0.55); g = Math.round(g * 0.9); b = Math.round(b * 0.5);
+          }
+        }
+        return [r, g, b];
+      };
+    },
+  },
 
-// ──── Cell 1,1 – Ruins of Ashenvale Courtyard ────────────────────────────────
-// Neighbors: top→(1,0) Trail, left→(0,1) River, right→(2,1) Tower, bottom→(1,2) Underhalls
-function cell_1_1() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x/60, ny = y/60;
-
-    // Stone floor
-    const sn = fbm(x/20, y/20, 7, 3);
-    let r = Math.round(lerp(105, 145, sn));
-    let g = Math.round(lerp( 98, 135, sn));
-    let b = Math.round(lerp( 90, 125, sn));
-
-    // Cracks
-    for (const cy of [100, 200, 310]) {
-      const wave = Math.sin(x/30)*6 + Math.sin(x/11)*2;
-      if (Math.abs(y - cy - wave) < 2) {
-        r=Math.round(r*0.55); g=Math.round(g*0.55); b=Math.round(b*0.55);
-      }
-    }
-    for (const cx of [130, 270, 340]) {
-      const wave = Math.sin(y/25)*5 + Math.sin(y/9)*2;
-      if (Math.abs(x - cx - wave) < 2) {
-        r=Math.round(r*0.55); g=Math.round(g*0.55); b=Math.round(b*0.55);
-      }
-    }
+  // ──── Ruins Courtyard ───────────────────────────────────────────────────────
+  ruins: {
+    label: 'Ruins Courtyard',
+    color: [120, 112, 103],
+    monsters: [
+      { name: 'Skeleton Guard', icon: '💀', color: GREY,   size: 14, hp: 13, hpMax: 13, ac: 13 },
+      { name: 'Arcane Focus',   icon: '🔮', color: PURPLE, size: 12, at: [200, 200] },
+    ],
+    paint(c) {
+      const crackRows = jitter(c.rng, [[100, 0], [200, 0], [310, 0]], 15).map(p => p[0]);
+      const crackCols = jitter(c.rng, [[130, 0], [270, 0], [340, 0]], 15).map(p => p[0]);
+      // Path entrance from a trail above
+      const entrance = c.nb.t === 'trail';
+      return (x, y) => {
+        const nx = x/60, ny = y/60;
+
+        // Stone floor
+        const sn = fbm(x/20, y/20, c.s + 7, 3);
+        let r = Math.round(lerp(105, 145, sn));
+        let g = Math.round(lerp( 98, 135, sn));
+        let b = Math.round(lerp( 90, 125, sn));
+
+        // Cracks
+        for (const cy of crackRows) {
+          const wave = Math.sin(x/30)*6 + Math.sin(x/11)*2;
+          if (Math.abs(y - cy - wave) < 2) {
+            r=Math.round(r*0.55); g=Math.round(g*0.55); b=Math.round(b*0.55);
+          }
+        }
+        for (const cx of crackCols) {
+          const wave = Math.sin(y/25)*5 + Math.sin(y/9)*2;
+          if (Math.abs(x - cx - wave) < 2) {
+            r=Math.round(r*0.55); g=Math.round(g*0.55); b=Math.round(b*0.55);
+          }
+        }
 
-    // Moss patches
-    const mn = fbm(nx*1.5+3, ny*1.5+3, 44);
-    if (mn > 0.62) {
-      r = Math.round(lerp(r, 45, (mn-0.62)/0.38));
-      g = Math.round(lerp(g, 90, (mn-0.62)/0.38));
-      b = Math.round(lerp(b, 35, (mn-0.62)/0.38));
-    }
+        // Moss patches
+        const mn = fbm(nx*1.5+3, ny*1.5+3, c.s + 44);
+        if (mn > 0.62) {
+          r = Math.round(lerp(r, 45, (mn-0.62)/0.38));
+          g = Math.round(lerp(g, 90, (mn-0.62)/0.38));
+          b = Math.round(lerp(b, 35, (mn-0.62)/0.38));
+        }
 
-    // Broken pillars at corners
-    const pillars = [[60,60],[340,60],[60,340],[340,340]];
-    for (const [px,py] of pillars) {
-      const d = Math.hypot(x-px, y-py);
-      if (d < 28) {
-        const pn = fbm((x-px)/8, (y-py)/8, 31, 2);
-        r=Math.round(lerp(140, 190, pn));
-        g=Math.round(lerp(130, 178, pn));
-        b=Math.round(lerp(120, 165, pn));
-        if (d > 22) { r=Math.round(r*0.7); g=Math.round(g*0.7); b=Math.round(b*0.7); }
-      }
-    }
+        // Broken pillars at corners
+        for (const [px,py] of [[60,60],[340,60],[60,340],[340,340]]) {
+          const d = Math.hypot(x-px, y-py);
+          if (d < 28) {
+            const pn = fbm((x-px)/8, (y-py)/8, c.s + 31, 2);
+            r=Math.round(lerp(140, 190, pn));
+            g=Math.round(lerp(130, 178, pn));
+            b=Math.round(lerp(120, 165, pn));
+            if (d > 22) { r=Math.round(r*0.7); g=Math.round(g*0.7); b=Math.round(b*0.7); }
+          }
+        }
 
-    // Central altar / ritual circle
-    const cx=200, cy=200;
-    const dC = Math.hypot(x-cx, y-cy);
-    if (dC < 55 && dC > 48) {
-      r=Math.round(lerp(r,180,0.7)); g=Math.round(lerp(g,140,0.7)); b=Math.round(lerp(b,50,0.7));
-    }
-    if (dC < 30 && dC > 25) {
-      r=Math.round(lerp(r,160,0.5)); g=Math.round(lerp(g,100,0.5)); b=Math.round(lerp(b,30,0.5));
-    }
-    if (dC < 6) { r=180; g=120; b=40; }
-
-    // Wall fragments on edges
-    const wallT = 22;
-    if (x < wallT || x > 399-wallT || y < wallT || y > 399-wallT) {
-      const wn = fbm(nx*2, ny*2, 9, 2);
-      r=Math.round(lerp(115,155, wn));
-      g=Math.round(lerp(108,145, wn));
-      b=Math.round(lerp(100,135, wn));
-      if (x < 5 || x > 394 || y < 5 || y > 394) {
-        r=Math.round(r*0.6); g=Math.round(g*0.6); b=Math.round(b*0.6);
-      }
-    }
+        // Central altar / ritual circle
+        const dC = Math.hypot(x-200, y-200);
+        if (dC < 55 && dC > 48) {
+          r=Math.round(lerp(r,180,0.7)); g=Math.round(lerp(g,140,0.7)); b=Math.round(lerp(b,50,0.7));
+        }
+        if (dC < 30 && dC > 25) {
+          r=Math.round(lerp(r,160,0.5)); g=Math.round(lerp(g,100,0.5)); b=Math.round(lerp(b,30,0.5));
+        }
+        if (dC < 6) { r=180; g=120; b=40; }
+
+        // Wall fragments on edges
+        const wallT = 22;
+        if (x < wallT || x > 399-wallT || y < wallT || y > 399-wallT) {
+          const wn = fbm(nx*2, ny*2, c.s + 9, 2);
+          r=Math.round(lerp(115,155, wn));
+          g=Math.round(lerp(108,145, wn));
+          b=Math.round(lerp(100,135, wn));
+          if (x < 5 || x > 394 || y < 5 || y > 394) {
+            r=Math.round(r*0.6); g=Math.round(g*0.6); b=Math.round(b*0.6);
+          }
+        }
 
-    // Path entrance from trail above (top-center, x≈200, fades in over y=0..60)
-    {
-      const pathC = 200 + Math.sin(y/40)*10;
-      const pathW = 45 * clamp(1 - y/80, 0, 1);
-      if (pathW > 1 && Math.abs(x - pathC) < pathW) {
-        const t = 1 - Math.abs(x - pathC) / pathW;
-        const pn = fbm(x/30, y/30, 13);
-        const pr = Math.round(lerp(130, 165, pn));
-        const pg = Math.round(lerp(100, 130, pn));
-        const pb = Math.round(lerp( 60,  85, pn));
-        r = Math.round(lerp(r, pr, t * t * 0.7));
-        g = Math.round(lerp(g, pg, t * t * 0.7));
-        b = Math.round(lerp(b, pb, t * t * 0.7));
-      }
-    }
+        // Path entrance (top-center, x≈200, fades in over y=0..80)
+        if (entrance) {
+          const pathC = 200 + Math.sin(y/40)*10;
+          const pathW = 45 * clamp(1 - y/80, 0, 1);
+          if (pathW > 1 && Math.abs(x - pathC) < pathW) {
+            const t = 1 - Math.abs(x - pathC) / pathW;
+            const pn = fbm(x/30, y/30, c.s + 13);
+            r = Math.round(lerp(r, Math.round(lerp(130, 165, pn)), t * t * 0.7));
+            g = Math.round(lerp(g, Math.round(lerp(100, 130, pn)), t * t * 0.7));
+            b = Math.round(lerp(b, Math.round(lerp( 60,  85, pn)), t * t * 0.7));
+          }
+        }
+        return [r, g, b];
+      };
+    },
+  },
 
-    // Edge blending toward neighbors
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['t', C_TRAIL_E, 65, 0.65],  // forest trail above
-      ['l', C_BANK,    60, 0.60],  // river bank on left
-      ['r', C_TOWER,   60, 0.60],  // tower on right
-      ['b', C_UNDER,   85, 0.78],  // CRITICAL: dark underhalls below
-    ]);
+  // ──── Sunken Tower ──────────────────────────────────────────────────────────
+  tower: {
+    label: 'Sunken Tower',
+    color: [92, 85, 79],
+    monsters: [
+      { name: 'Zombie Guard', icon: '🧟', color: GREEN, size: 14, hp: 22, hpMax: 22, ac: 8, speed: 20 },
+      { name: 'Tower Warden', icon: '🗡️', color: GREY,  size: 12, hp: 16, hpMax: 16, ac: 16 },
+    ],
+    paint(c) {
+      const tWall = 28;
+      const tL=70, tR=330, tT=55, tB=330;
+      // Which corner has collapsed
+      const cx0 = c.rng() < 0.5 ? 0 : 270, cy0 = c.rng() < 0.5 ? 0 : 270;
+      return (x, y) => {
+        const nx = x/60, ny = y/60;
+        const n = fbm(nx, ny, c.s + 55);
+
+        let r = Math.round(lerp(75, 118, n));
+        let g = Math.round(lerp(70, 108, n));
+        let b = Math.round(lerp(65, 100, n));
+
+        // Tower footprint: thick stone walls from above
+        const inOuter = x>tL && x<tR && y>tT && y<tB;
+        const inInner = x>tL+tWall && x<tR-tWall && y>tT+tWall && y<tB-tWall;
+        const inWall  = inOuter && !inInner;
+
+        if (inWall) {
+          const wn = fbm(nx*3+1, ny*3, c.s + 21, 2);
+          r = Math.round(lerp(88, 132, wn));
+          g = Math.round(lerp(83, 124, wn));
+          b = Math.round(lerp(78, 116, wn));
+          const bRow = Math.floor(y / 22);
+          const inMortar = y % 22 < 2 || (x + (bRow%2)*13) % 26 < 2;
+          if (inMortar) { r=Math.round(r*0.58); g=Math.round(g*0.58); b=Math.round(b*0.58); }
+          const ivyN = fbm(nx*4+8, ny*4+8, c.s + 17);
+          if (x < tL+20 && ivyN > 0.55) {
+            r=Math.round(lerp(r,28,0.5)); g=Math.round(lerp(g,78,0.5)); b=Math.round(lerp(b,18,0.5));
+          }
+        }
 
-    return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
-  });
-}
+        // Interior: dark hollow with debris and brazier
+        if (inInner) {
+          const dn = fbm(nx*2+0.5, ny*2+0.5, c.s + 88, 2);
+          r = Math.round(lerp(18, 40, dn));
+          g = Math.round(lerp(14, 32, dn));
+          b = Math.round(lerp(12, 28, dn));
+          if (dn > 0.62) {
+            const dt = (dn-0.62)/0.38;
+            r=Math.round(lerp(r, 65, dt*0.5)); g=Math.round(lerp(g, 60, dt*0.5)); b=Math.round(lerp(b, 55, dt*0.5));
+          }
+          const cd = Math.hypot(x-200, y-200);
+          if (cd < 45) {
+            const ct = clamp(1 - cd/45, 0, 1) ** 2;
+            r=Math.round(lerp(r, 210, ct*0.55)); g=Math.round(lerp(g, 100, ct*0.55)); b=Math.round(lerp(b, 15, ct*0.55));
+          }
+          if (cd < 7) { r=255; g=190; b=60; }
+        }
 
-// ──── Cell 2,1 – Sunken Tower ────────────────────────────────────────────────
-// Neighbors: left→(1,1) Ruins, top→(2,0) Peaks, bottom→(2,2) Graveyard
-function cell_2_1() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x/60, ny = y/60;
-    const n = fbm(nx, ny, 55);
-
-    let r = Math.round(lerp(75, 118, n));
-    let g = Math.round(lerp(70, 108, n));
-    let b = Math.round(lerp(65, 100, n));
-
-    // Tower footprint: thick stone walls from above
-    const tWall = 28;
-    const tL=70, tR=330, tT=55, tB=330;
-    const inOuter = x>tL && x<tR && y>tT && y<tB;
-    const inInner = x>tL+tWall && x<tR-tWall && y>tT+tWall && y<tB-tWall;
-    const inWall  = inOuter && !inInner;
-
-    if (inWall) {
-      const wn = fbm(nx*3+1, ny*3, 21, 2);
-      r = Math.round(lerp(88, 132, wn));
-      g = Math.round(lerp(83, 124, wn));
-      b = Math.round(lerp(78, 116, wn));
-      const bRow = Math.floor(y / 22);
-      const inMortar = y % 22 < 2 || (x + (bRow%2)*13) % 26 < 2;
-      if (inMortar) { r=Math.round(r*0.58); g=Math.round(g*0.58); b=Math.round(b*0.58); }
-      const ivyN = fbm(nx*4+8, ny*4+8, 17);
-      if (x < tL+20 && ivyN > 0.55) {
-        r=Math.round(lerp(r,28,0.5)); g=Math.round(lerp(g,78,0.5)); b=Math.round(lerp(b,18,0.5));
-      }
-    }
+        // Collapsed corner
+        if (x > cx0 && x < cx0 + 130 && y > cy0 && y < cy0 + 130 && !inInner) {
+          const rubN = fbm(x/20, y/20, c.s + 33);
+          r=Math.round(lerp(r, Math.round(lerp(68,108,rubN)), 0.8));
+          g=Math.round(lerp(g, Math.round(lerp(63, 98,rubN)), 0.8));
+          b=Math.round(lerp(b, Math.round(lerp(58, 92,rubN)), 0.8));
+        }
 
-    // Interior: dark hollow with debris and brazier
-    if (inInner) {
-      const dn = fbm(nx*2+0.5, ny*2+0.5, 88, 2);
-      r = Math.round(lerp(18, 40, dn));
-      g = Math.round(lerp(14, 32, dn));
-      b = Math.round(lerp(12, 28, dn));
-      if (dn > 0.62) {
-        const dt = (dn-0.62)/0.38;
-        r=Math.round(lerp(r, 65, dt*0.5)); g=Math.round(lerp(g, 60, dt*0.5)); b=Math.round(lerp(b, 55, dt*0.5));
-      }
-      const cd = Math.hypot(x-200, y-200);
-      if (cd < 45) {
-        const ct = clamp(1 - cd/45, 0, 1) ** 2;
-        r=Math.round(lerp(r, 210, ct*0.55)); g=Math.round(lerp(g, 100, ct*0.55)); b=Math.round(lerp(b, 15, ct*0.55));
-      }
-      if (cd < 7) { r=255; g=190; b=60; }
-    }
+        // South doorway
+        if (x>186 && x<214 && y>tB-tWall && y<tB+4 && inOuter) {
+          const dn2 = fbm(nx*2, ny*2, c.s + 44);
+          r=Math.round(lerp(18,38,dn2)); g=Math.round(lerp(14,30,dn2)); b=Math.round(lerp(12,26,dn2));
+        }
+        return [r, g, b];
+      };
+    },
+  },
 
-    // Collapsed NE corner
-    if (x > 270 && y < 130 && !inInner) {
-      const rubN = fbm(x/20, y/20, 33);
-      r=Math.round(lerp(r, Math.round(lerp(68,108,rubN)), 0.8));
-      g=Math.round(lerp(g, Math.round(lerp(63, 98,rubN)), 0.8));
-      b=Math.round(lerp(b, Math.round(lerp(58, 92,rubN)), 0.8));
-    }
+  // ──── Maw of Darkness ───────────────────────────────────────────────────────
+  cave: {
+    label: 'Maw of Darkness',
+    color: [72, 68, 63],
+    locked: true,
+    monsters: [
+      { name: 'Giant Spider', icon: '🕷️', color: GREY, size: 12, count: 2, hp: 26, hpMax: 26, ac: 14 },
+    ],
+    paint(c) {
+      const boulders = jitter(c.rng, [
+        [85, 80, 26],[320, 95, 22],[155, 55, 18],[265, 48, 20],
+        [65, 200, 20],[335, 230, 18],[110, 320, 22],[295, 340, 19]
+      ], 10);
+      const caveCX = 205 + Math.round((c.rng() * 2 - 1) * 20), caveCY = 230, caveRX=120, caveRY=140;
+      // A river above pours into the pit
+      const inflow = c.nb.t === 'river';
+      return (x, y) => {
+        const nx = x/70, ny = y/70;
+        const n = fbm(nx, ny, c.s + 111);
+
+        let r = Math.round(lerp(58, 98, n));
+        let g = Math.round(lerp(55, 90, n));
+        let b = Math.round(lerp(52, 86, n));
+
+        // Large boulders ringing the pit entrance
+        for (const [bx, by, br] of boulders) {
+          const d = Math.hypot(x-bx, y-by);
+          if (d < br) {
+            r = Math.round(lerp(42, 82, d/br));
+            g = Math.round(lerp(40, 78, d/br));
+            b = Math.round(lerp(38, 74, d/br));
+            if (x > bx+br*0.25 && y > by+br*0.25 && d > br*0.65) {
+              r=Math.round(r*0.6); g=Math.round(g*0.6); b=Math.round(b*0.6);
+            }
+          }
+        }
 
-    // South doorway
-    if (x>186 && x<214 && y>tB-tWall && y<tB+4 && inOuter) {
-      const dn2 = fbm(nx*2, ny*2, 44);
-      r=Math.round(lerp(18,38,dn2)); g=Math.round(lerp(14,30,dn2)); b=Math.round(lerp(12,26,dn2));
-    }
+        // Cave mouth – large dark pit
+        const caveDist = Math.hypot((x-caveCX)/caveRX, (y-caveCY)/caveRY);
+        if (caveDist < 1.15) {
+          const fadeT = clamp((1.15 - caveDist) / 1.15, 0, 1);
+          r=Math.round(lerp(r,  6, fadeT * 0.96));
+          g=Math.round(lerp(g,  5, fadeT * 0.96));
+          b=Math.round(lerp(b,  4, fadeT * 0.96));
+        }
 
-    // Edge blending toward neighbors
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['t', C_PEAKS,  65, 0.65],   // peaks above
-      ['l', C_RUINS,  60, 0.62],   // ruins on left
-      ['b', C_GRAVE,  70, 0.68],   // graveyard below
-    ]);
+        if (inflow && y < 100) {
+          const rW = 90 * clamp(1 - y/100, 0, 1);
+          const dR = Math.abs(x - riverCentre(y));
+          if (rW > 1 && dR < rW) {
+            const t = 1 - dR / rW;
+            const [wr, wg, wb] = riverWater(x, y, c.s);
+            r = Math.round(lerp(r, wr, t * 0.85));
+            g = Math.round(lerp(g, wg, t * 0.85));
+            b = Math.round(lerp(b, wb, t * 0.85));
+          }
+        }
 
-    return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
-  });
-}
+        // Mossy/wet rock around rim
+        const mossN = fbm(nx*2.5+5, ny*2.5+5, c.s + 77, 3);
+        if (mossN > 0.62 && caveDist > 1.1 && caveDist < 1.6) {
+          const mt = clamp((mossN-0.62)/0.38, 0, 1);
+          r=Math.round(lerp(r, 28, mt*0.5)); g=Math.round(lerp(g, 68, mt*0.5)); b=Math.round(lerp(b, 18, mt*0.5));
+        }
 
-// ──── Cell 0,2 – Maw of Darkness ─────────────────────────────────────────────
-// Neighbors: top→(0,1) River, right→(1,2) Underhalls
-function cell_0_2() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x/70, ny = y/70;
-    const n = fbm(nx, ny, 111);
-
-    let r = Math.round(lerp(58, 98, n));
-    let g = Math.round(lerp(55, 90, n));
-    let b = Math.round(lerp(52, 86, n));
-
-    // Large boulders ringing the pit entrance
-    const boulders = [
-      [85, 80, 26],[320, 95, 22],[155, 55, 18],[265, 48, 20],
-      [65, 200, 20],[335, 230, 18],[110, 320, 22],[295, 340, 19]
-    ];
-    for (const [bx, by, br] of boulders) {
-      const d = Math.hypot(x-bx, y-by);
-      if (d < br) {
-        r = Math.round(lerp(42, 82, d/br));
-        g = Math.round(lerp(40, 78, d/br));
-        b = Math.round(lerp(38, 74, d/br));
-        if (x > bx+br*0.25 && y > by+br*0.25 && d > br*0.65) {
-          r=Math.round(r*0.6); g=Math.round(g*0.6); b=Math.round(b*0.6);
+        // Pebble texture
+        const pebN = fbm(nx*7+2, ny*7+2, c.s + 33, 2);
+        if (pebN > 0.74 && caveDist > 1.2) {
+          r=Math.round(r*0.72); g=Math.round(g*0.72); b=Math.round(b*0.72);
         }
-      }
-    }
+        return [r, g, b];
+      };
+    },
+  },
 
-    // Cave mouth – large dark pit
-    const caveCX=205, caveCY=230, caveRX=120, caveRY=140;
-    const caveDist = Math.hypot((x-caveCX)/caveRX, (y-caveCY)/caveRY);
-    if (caveDist < 1.15) {
-      const fadeT = clamp((1.15 - caveDist) / 1.15, 0, 1);
-      r=Math.round(lerp(r,  6, fadeT * 0.96));
-      g=Math.round(lerp(g,  5, fadeT * 0.96));
-      b=Math.round(lerp(b,  4, fadeT * 0.96));
-    }
+  // ──── The Underhalls ────────────────────────────────────────────────────────
+  underhalls: {
+    label: 'The Underhalls',
+    color: [40, 36, 32],
+    locked: true,
+    monsters: [
+      { name: 'Skeleton', icon: '💀', color: GREY, size: 12, count: 2, hp: 13, hpMax: 13, ac: 13 },
+    ],
+    paint(c) {
+      const torches = jitter(c.rng, [[80,130],[320,130],[80,300],[320,300]], 15);
+      return (x, y) => {
+        const nx = x/50, ny = y/50;
+        const n = fbm(nx, ny, c.s + 222);
+
+        // Very dark stone
+        let r = Math.round(lerp(28, 55, n));
+        let g = Math.round(lerp(25, 50, n));
+        let b = Math.round(lerp(22, 48, n));
+
+        // Hewn stone blocks
+        const blockH = 40, blockW = 55;
+        const bRow = Math.floor(y / blockH);
+        const bOff = (bRow % 2) * (blockW * 0.5);
+        const inGrout = (y % blockH) < 3 || (x + bOff) % blockW < 3;
+        if (inGrout) {
+          r=Math.round(r*0.5); g=Math.round(g*0.5); b=Math.round(b*0.5);
+        }
 
-    // River entering cave from top (matches cell 0,1's river position)
-    if (y < 100) {
-      const rC = 200 + Math.sin(y/55)*25 + Math.sin(y/22+0.7)*10;
-      const rW = 90 * clamp(1 - y/100, 0, 1);
-      const dR = Math.abs(x - rC);
-      if (rW > 1 && dR < rW) {
-        const t = 1 - dR / rW;
-        const wn = fbm(x/25+3, y/25+3, 22);
-        const wr = Math.round(lerp(35, 65, wn));
-        const wg = Math.round(lerp(100,150, wn));
-        const wb = Math.round(lerp(160,210, wn));
-        r = Math.round(lerp(r, wr, t * 0.85));
-        g = Math.round(lerp(g, wg, t * 0.85));
-        b = Math.round(lerp(b, wb, t * 0.85));
-      }
-    }
+        // Torches with glow
+        for (const [tx,ty] of torches) {
+          const gd = Math.hypot(x-tx, y-ty);
+          if (gd < 80) {
+            const gt = clamp(1-gd/80, 0, 1) * clamp(1-gd/80, 0, 1);
+            r=Math.round(lerp(r, 230, gt*0.7));
+            g=Math.round(lerp(g, 120, gt*0.7));
+            b=Math.round(lerp(b,  20, gt*0.7));
+          }
+          if (gd < 6) { r=255; g=200; b=60; }
+          if (gd > 7 && gd < 12) { r=80; g=70; b=60; }
+        }
 
-    // Mossy/wet rock around rim
-    const mossN = fbm(nx*2.5+5, ny*2.5+5, 77, 3);
-    if (mossN > 0.62 && caveDist > 1.1 && caveDist < 1.6) {
-      const mt = clamp((mossN-0.62)/0.38, 0, 1);
-      r=Math.round(lerp(r, 28, mt*0.5)); g=Math.round(lerp(g, 68, mt*0.5)); b=Math.round(lerp(b, 18, mt*0.5));
-    }
+        // Wooden door in bottom center
+        const dX=175, dY=330, dW=50, dH=70;
+        if (x>dX && x<dX+dW && y>dY && y<dY+dH) {
+          const dn = fbm((x-dX)/10, (y-dY)/10, c.s + 99);
+          r=Math.round(lerp(85,115,dn)); g=Math.round(lerp(55, 75,dn)); b=Math.round(lerp(30, 45,dn));
+          if ((y-dY)%16 < 2) { r=Math.round(r*0.75); g=Math.round(g*0.75); b=Math.round(b*0.75); }
+          if (Math.hypot(x-(dX+dW-10), y-(dY+dH/2)) < 4) { r=200; g=160; b=20; }
+        }
 
-    // Pebble texture
-    const pebN = fbm(nx*7+2, ny*7+2, 33, 2);
-    if (pebN > 0.74 && caveDist > 1.2) {
-      r=Math.round(r*0.72); g=Math.round(g*0.72); b=Math.round(b*0.72);
-    }
+        // Pillars
+        for (const [px,py] of [[40,200],[360,200]]) {
+          const pd = Math.hypot(x-px, y-py);
+          if (pd < 24) {
+            const pn = fbm((x-px)/7, (y-py)/7, c.s + 44);
+            r=Math.round(lerp(55,90,pn)); g=Math.round(lerp(50,85,pn)); b=Math.round(lerp(45,80,pn));
+            if (pd>18) { r=Math.round(r*0.65); g=Math.round(g*0.65); b=Math.round(b*0.65); }
+          }
+        }
+        return [r, g, b];
+      };
+    },
+  },
 
-    // Edge blending toward neighbors
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['t', C_BANK,  70, 0.70],   // river bank above
-      ['r', C_UNDER, 60, 0.65],   // underhalls on right
-    ]);
+  // ──── Whisper Graveyard ─────────────────────────────────────────────────────
+  graveyard: {
+    label: 'Whisper Graveyard',
+    color: [42, 54, 38],
+    monsters: [
+      { name: 'Malgrath the Undying', icon: '☠️', color: '#2a0a2a', size: 18, hp: 99, hpMax: 99, ac: 17 },
+      { name: 'Skeleton', icon: '💀', color: GREY, size: 12, count: 2, hp: 13, hpMax: 13, ac: 13 },
+    ],
+    paint(c) {
+      const tombs = jitter(c.rng, [
+        [70,80,32,48],[160,100,28,44],[280,70,30,46],
+        [110,200,26,42],[230,220,32,50],[340,190,28,44],
+        [80,320,30,46],[190,340,26,40],[310,310,34,52],[350,350,24,38]
+      ], 8);
+      const deadTrees = jitter(c.rng, [[200,150],[350,280]], 20);
+      const branches = [[-25,-40,-3,-10],[25,-45,3,-15],[0,-60,0,-20],[-15,-20,-30,-50],[15,-22,28,-48]];
+      return (x, y) => {
+        const nx = x/70, ny = y/70;
+        const n = fbm(nx, ny, c.s + 333);
+
+        // Dark, slightly purple-tinted earth
+        let r = Math.round(lerp(28, 60, n));
+        let g = Math.round(lerp(38, 72, n));
+        let b = Math.round(lerp(25, 55, n));
+
+        // Dead grass patches
+        const gn = fbm(nx*3+2, ny*3+2, c.s + 444, 3);
+        if (gn > 0.55) {
+          r=Math.round(lerp(r,60,0.4)); g=Math.round(lerp(g,70,0.4)); b=Math.round(lerp(b,30,0.4));
+        }
 
+        // Tombstones
+        for (const [tx,ty,tw,th] of tombs) {
+          if (x>tx && x<tx+tw && y>ty && y<ty+th) {
+            const tn = fbm((x-tx)/8, (y-ty)/8, c.s + 77);
+            r=Math.round(lerp(90,130,tn));
+            g=Math.round(lerp(88,125,tn));
+            b=Math.round(lerp(92,130,tn));
+            if (Math.abs(y-(ty+th*0.4)) < 2 && x>tx+4 && x<tx+tw-4) {
+              r=Math.round(r*0.6); g=Math.round(g*0.6); b=Math.round(b*0.6);
+            }
+          }
+        }
+
+        // Dead trees
+        for (const [dtx,dty] of deadTrees) {
+          if (Math.abs(x-dtx) < 5 && y > dty && y < dty+120) { r=50; g=40; b=32; }
+          for (const [bx1,by1,bx2,by2] of branches) {
+            for (let t2=0; t2<=1; t2+=0.02) {
+              const bx = dtx + lerp(bx1,bx2,t2);
+              const by = dty + lerp(by1,by2,t2);
+              if (Math.hypot(x-bx, y-by) < 3) { r=50; g=40; b=32; }
+            }
+          }
+        }
+
+        // Mist / fog wisps
+        const mistN = fbm(nx*0.8+5, ny*0.8+5, c.s + 555, 2);
+        if (mistN > 0.58 && y > 200) {
+          const mt = (mistN-0.58)/0.42;
+          r=Math.round(lerp(r,170,mt*0.25));
+          g=Math.round(lerp(g,175,mt*0.25));
+          b=Math.round(lerp(b,180,mt*0.25));
+        }
+        return [r, g, b];
+      };
+    },
+  },
+};
+
+// The Ruins of Ashenvale — the default 3×3 world
+const DEFAULT_LAYOUT = [
+  ['forest', 'trail',      'peaks'],
+  ['river',  'ruins',      'tower'],
+  ['cave',   'underhalls', 'graveyard'],
+];
+
+const DEFAULT_PARTY = [
+  { name: 'Fighter', icon: '⚔️', color: BLUE,   owner: 'Player 1' },
+  { name: 'Wizard',  icon: '🧙', color: PURPLE, owner: 'Player 2' },
+  { name: 'Ranger',  icon: '🏹', color: GREEN,  owner: 'Player 3' },
+  { name: 'Cleric',  icon: '✨', color: GOLD,   owner: 'Player 4' },
+];
+
+// ─── Cell painting ────────────────────────────────────────────────────────────
+
+const CELL = 400;            // px per cell, as in the site
+const SNAP = 25;             // token grid (5 ft)
+const EDGE_WIDTH = 65;       // px blended toward each neighbour
+const EDGE_STRENGTH = 0.68;
+const MAX_WORLD_DIM = 12;    // matches the site's world size limit
+
+function paintCell(world, col, row, seed) {
+  const biome = BIOMES[world.biomes[row][col]];
+  const at = (c, r) => (world.biomes[r] && world.biomes[r][c]) || null;
+  const nb = { t: at(col, row - 1), b: at(col, row + 1), l: at(col - 1, row), r: at(col + 1, row) };
+  const cellSeed = (seed ^ Math.imul(col + 1, 73856093) ^ Math.imul(row + 1, 19349663)) >>> 0;
+  const pixel = biome.paint({ s: cellSeed % 100000, rng: mulberry32(cellSeed), nb });
+  const edges = Object.keys(nb).filter(side => nb[side])
+    .map(side => [side, BIOMES[nb[side]].color, EDGE_WIDTH, EDGE_STRENGTH]);
+  return makePNG(CELL, CELL, (x, y) => {
+    let [r, g, b] = pixel(x, y);
+    [r, g, b] = edgeBlend(x, y, r, g, b, edges);
     return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
   });
 }
 
-// ──── Cell 1,2 – The Underhalls ──────────────────────────────────────────────
-// Neighbors: top→(1,1) Ruins, left→(0,2) Cave, right→(2,2) Graveyard
-function cell_1_2() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x/50, ny = y/50;
-    const n = fbm(nx, ny, 222);
-
-    // Very dark stone
-    let r = Math.round(lerp(28, 55, n));
-    let g = Math.round(lerp(25, 50, n));
-    let b = Math.round(lerp(22, 48, n));
-
-    // Hewn stone blocks
-    const blockH = 40, blockW = 55;
-    const bRow = Math.floor(y / blockH);
-    const bOff = (bRow % 2) * (blockW * 0.5);
-    const inGrout = (y % blockH) < 3 || (x + bOff) % blockW < 3;
-    if (inGrout) {
-      r=Math.round(r*0.5); g=Math.round(g*0.5); b=Math.round(b*0.5);
-    }
+// Black everywhere but the revealed rectangle, with a soft edge around it
+function makeFog(cols, rows, reveal) {
+  const soft = 60;
+  return makePNG(cols * CELL, rows * CELL, (x, y) => {
+    const dx = Math.max(reveal.x - x, x - (reveal.x + reveal.w - 1), 0);
+    const dy = Math.max(reveal.y - y, y - (reveal.y + reveal.h - 1), 0);
+    const d = Math.hypot(dx, dy);
+    return [0, 0, 0, d >= soft ? 255 : Math.round(lerp(0, 255, d / soft))];
+  });
+}
 
-    // Torches with glow
-    const torches = [[80,130],[320,130],[80,300],[320,300]];
-    for (const [tx,ty] of torches) {
-      const gd = Math.hypot(x-tx, y-ty);
-      if (gd < 80) {
-        const gt = clamp(1-gd/80, 0, 1) * clamp(1-gd/80, 0, 1);
-        r=Math.round(lerp(r, 230, gt*0.7));
-        g=Math.round(lerp(g, 120, gt*0.7));
-        b=Math.round(lerp(b,  20, gt*0.7));
-      }
-      if (gd < 6) { r=255; g=200; b=60; }
-      if (gd > 7 && gd < 12) { r=80; g=70; b=60; }
+// ─── Dungeon mode ─────────────────────────────────────────────────────────────
+// --dungeon swaps the biome painters for a seeded dungeon: rooms scattered on a
+// 5 ft tile grid, joined by corridors into a tree (plus a few loops), doors
+// where a corridor meets a room, and traps along the way. Doors and traps go
+// into placedStamps, and every room gets a numbered key stamp. Their text is
+// written as DM notes pinned to the stamps (players never receive those) —
+// the DM sees badges and clicks them for the note. The same key is written
+// next to the campaign as <name>.rooms.json.
+
+const ROCK = 0, FLOOR = 1, HALL = 2, DOOR = 3;
+
+const ROOM_KINDS = [
+  { name: 'Guard Post',     text: 'Overturned table, a rack of notched spears and a cold brazier.' },
+  { name: 'Barracks',       text: 'Rows of rotting cots. A footlocker under the far bunk is still locked.' },
+  { name: 'Shrine',         text: 'A defaced altar to a forgotten god; candle stubs in the niches.' },
+  { name: 'Storeroom',      text: 'Crates of spoiled grain and a few intact casks of lamp oil.' },
+  { name: 'Crypt',          text: 'Stone sarcophagi line the walls. One lid has been pushed aside.' },
+  { name: 'Library',        text: 'Collapsed shelves and mildewed scrolls. One tome is chained to a lectern.' },
+  { name: 'Armory',         text: 'Empty weapon racks; a single masterwork shield hangs behind a false panel.' },
+  { name: 'Well Chamber',   text: 'A deep well drops into darkness. A bucket rope is cut halfway down.' },
+  { name: 'Collapsed Hall', text: 'Half the ceiling is down. Climbing the rubble is difficult terrain.' },
+  { name: 'Torture Room',   text: 'Rusted chains and a rack. Scratched tallies cover one wall.' },
+  { name: 'Kitchen',        text: 'A cold hearth and hanging hooks. Something has been eating here recently.' },
+  { name: 'Treasury',       text: 'An iron-bound chest sits on a dais. The floor tiles around it are oddly clean.' },
+];
+
+const TRAPS = [
+  'Pressure plate — DC 13 Dex save or 2d10 piercing from wall darts',
+  'Pit trap — DC 15 Perception to spot; 10 ft fall, 1d6 bludgeoning',
+  'Tripwire bell — alerts the nearest room',
+  'Poison needle in the lock — DC 12 Con save or 1d10 poison',
+  'Collapsing ceiling — DC 14 Dex save or 2d10 bludgeoning, square becomes difficult terrain',
+  'Glyph of warding — DC 13 Dex save or 3d8 thunder',
+];
+
+const DUNGEON_MONSTERS = [
+  { name: 'Skeleton',       icon: '💀', color: GREY,  size: 12, hp: 13, hpMax: 13, ac: 13 },
+  { name: 'Zombie',         icon: '🧟', color: GREEN, size: 14, hp: 22, hpMax: 22, ac: 8, speed: 20 },
+  { name: 'Giant Rat',      icon: '🐀', color: GREY,  size: 10, hp: 7,  hpMax: 7,  ac: 12 },
+  { name: 'Goblin',         icon: '👹', color: RED,   size: 12, hp: 7,  hpMax: 7,  ac: 15 },
+  { name: 'Giant Spider',   icon: '🕷️', color: GREY,  size: 12, hp: 26, hpMax: 26, ac: 14 },
+];
+const DUNGEON_BOSS = { name: 'Dungeon Lord', icon: '☠️', color: '#2a0a2a', size: 18, hp: 99, hpMax: 99, ac: 17 };
+
+function layoutDungeon(world, rng, roomTarget) {
+  const W = world.cols * CELL / SNAP, H = world.rows * CELL / SNAP;
+  const tiles = new Uint8Array(W * H);
+  const roomAt = new Int16Array(W * H).fill(-1);
+  const rooms = [];
+
+  // Rooms: random rectangles with a one-tile gap between them
+  for (let tries = 0; rooms.length < roomTarget && tries < roomTarget * 60; tries++) {
+    const w = 4 + Math.floor(rng() * 6), h = 4 + Math.floor(rng() * 6);
+    const x = 1 + Math.floor(rng() * (W - w - 2)), y = 1 + Math.floor(rng() * (H - h - 2));
+    if (x < 1 || y < 1) continue;
+    if (rooms.some(r => x <= r.x + r.w && x + w >= r.x - 1 && y <= r.y + r.h && y + h >= r.y - 1)) continue;
+    const id = rooms.length;
+    rooms.push({ id, x, y, w, h, cx: x + (w >> 1), cy: y + (h >> 1) });
+    for (let ty = y; ty < y + h; ty++) for (let tx = x; tx < x + w; tx++) {
+      tiles[ty * W + tx] = FLOOR;
+      roomAt[ty * W + tx] = id;
     }
+  }
 
-    // Wooden door in bottom center
-    const dX=175, dY=330, dW=50, dH=70;
-    if (x>dX && x<dX+dW && y>dY && y<dY+dH) {
-      const dn = fbm((x-dX)/10, (y-dY)/10, 99);
-      r=Math.round(lerp(85,115,dn)); g=Math.round(lerp(55, 75,dn)); b=Math.round(lerp(30, 45,dn));
-      if ((y-dY)%16 < 2) { r=Math.round(r*0.75); g=Math.round(g*0.75); b=Math.round(b*0.75); }
-      if (Math.hypot(x-(dX+dW-10), y-(dY+dH/2)) < 4) { r=200; g=160; b=20; }
+  // Corridors: each room joins its nearest earlier room, then a few loops
+  const doors = new Map(); // tile index → { tx, ty }
+  const carve = (a, b) => {
+    const path = [];
+    let tx = a.cx, ty = a.cy;
+    const horizontalFirst = rng() < 0.5;
+    const stepX = () => { while (tx !== b.cx) { tx += Math.sign(b.cx - tx); path.push([tx, ty]); } };
+    const stepY = () => { while (ty !== b.cy) { ty += Math.sign(b.cy - ty); path.push([tx, ty]); } };
+    if (horizontalFirst) { stepX(); stepY(); } else { stepY(); stepX(); }
+    let prev = [a.cx, a.cy];
+    for (const [px, py] of path) {
+      const i = py * W + px, pi = prev[1] * W + prev[0];
+      if (tiles[i] === ROCK) tiles[i] = HALL;
+      // A door sits on the corridor tile where it leaves or enters a room
+      if (roomAt[pi] >= 0 && roomAt[i] < 0) doors.set(i, { tx: px, ty: py });
+      if (roomAt[pi] < 0 && roomAt[i] >= 0) doors.set(pi, { tx: prev[0], ty: prev[1] });
+      prev = [px, py];
     }
+  };
+  const dist = (a, b) => Math.abs(a.cx - b.cx) + Math.abs(a.cy - b.cy);
+  for (let i = 1; i < rooms.length; i++) {
+    const near = rooms.slice(0, i).reduce((best, r) => dist(r, rooms[i]) < dist(best, rooms[i]) ? r : best);
+    carve(rooms[i], near);
+  }
+  for (let i = 0; i < Math.floor(rooms.length / 4); i++) {
+    const a = rooms[Math.floor(rng() * rooms.length)], b = rooms[Math.floor(rng() * rooms.length)];
+    if (a !== b) carve(a, b);
+  }
+  // Corridor tiles that merely run alongside a room aren't doorways
+  for (const [i, d] of doors) {
+    const roomSides = [[1,0],[-1,0],[0,1],[0,-1]].filter(([dx, dy]) => roomAt[(d.ty + dy) * W + d.tx + dx] >= 0);
+    if (roomSides.length !== 1) { doors.delete(i); continue; }
+    d.vertical = roomSides[0][0] !== 0; // room to the left/right → door leaf runs up/down
+    d.room = roomAt[(d.ty + roomSides[0][1]) * W + d.tx + roomSides[0][0]];
+    tiles[i] = DOOR;
+  }
+  return { W, H, tiles, roomAt, rooms, doors: [...doors.values()] };
+}
 
-    // Pillars
-    const pils = [[40,200],[360,200]];
-    for (const [px,py] of pils) {
-      const pd = Math.hypot(x-px, y-py);
-      if (pd < 24) {
-        const pn = fbm((x-px)/7, (y-py)/7, 44);
-        r=Math.round(lerp(55,90,pn)); g=Math.round(lerp(50,85,pn)); b=Math.round(lerp(45,80,pn));
-        if (pd>18) { r=Math.round(r*0.65); g=Math.round(g*0.65); b=Math.round(b*0.65); }
+function paintDungeonCell(d, col, row, seed) {
+  const s = ((seed ^ Math.imul(col + 1, 73856093) ^ Math.imul(row + 1, 19349663)) >>> 0) % 100000;
+  const tileAt = (wx, wy) => {
+    const tx = Math.floor(wx / SNAP), ty = Math.floor(wy / SNAP);
+    if (tx < 0 || ty < 0 || tx >= d.W || ty >= d.H) return ROCK;
+    return d.tiles[ty * d.W + tx];
+  };
+  return makePNG(CELL, CELL, (x, y) => {
+    const wx = col * CELL + x, wy = row * CELL + y;
+    const tile = tileAt(wx, wy);
+    const n = fbm(wx / 50, wy / 50, s + 222);
+    let r, g, b;
+    if (tile === ROCK) {
+      r = Math.round(lerp(14, 30, n)); g = Math.round(lerp(12, 27, n)); b = Math.round(lerp(11, 25, n));
+      // Wall face where rock meets open floor
+      const rim = 5;
+      if (tileAt(wx - rim, wy) || tileAt(wx + rim, wy) || tileAt(wx, wy - rim) || tileAt(wx, wy + rim)) {
+        const wn = fbm(wx / 12, wy / 12, s + 21, 2);
+        r = Math.round(lerp(70, 100, wn)); g = Math.round(lerp(64, 92, wn)); b = Math.round(lerp(58, 86, wn));
+      }
+    } else {
+      // Flagstones on a 5 ft grid; corridors a little rougher and darker
+      const fn = fbm(wx / 20, wy / 20, s + 7, 3);
+      const hall = tile === HALL;
+      r = Math.round(lerp(hall ? 72 : 88, hall ? 100 : 122, fn));
+      g = Math.round(lerp(hall ? 66 : 82, hall ? 92 : 114, fn));
+      b = Math.round(lerp(hall ? 60 : 76, hall ? 86 : 106, fn));
+      if (wx % SNAP < 1 || wy % SNAP < 1) { r = Math.round(r * 0.7); g = Math.round(g * 0.7); b = Math.round(b * 0.7); }
+      const mn = fbm(wx / 40 + 3, wy / 40 + 3, s + 44);
+      if (mn > 0.66) {
+        r = Math.round(lerp(r, 40, 0.35)); g = Math.round(lerp(g, 70, 0.35)); b = Math.round(lerp(b, 34, 0.35));
+      }
+    }
+    if (tile === DOOR) {
+      const door = d.doors.find(o => o.tx === Math.floor(wx / SNAP) && o.ty === Math.floor(wy / SNAP));
+      const lx = wx % SNAP, ly = wy % SNAP;
+      const along = door && door.vertical ? ly : lx, across = door && door.vertical ? lx : ly;
+      if (across > 8 && across < 17) {
+        const dn = fbm(wx / 6, wy / 6, s + 99);
+        r = Math.round(lerp(85, 115, dn)); g = Math.round(lerp(55, 75, dn)); b = Math.round(lerp(30, 45, dn));
+        if (along % 6 < 1) { r = Math.round(r * 0.7); g = Math.round(g * 0.7); b = Math.round(b * 0.7); }
       }
     }
-
-    // CRITICAL: top edge blends strongly toward ruins stone brightness
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['t', C_RUINS, 90, 0.85],   // ruins courtyard above — wide strong blend
-      ['l', C_CAVE,  55, 0.65],   // cave on left
-      ['r', C_GRAVE, 55, 0.62],   // graveyard on right
-    ]);
-
     return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
   });
 }
 
-// ──── Cell 2,2 – Whisper Graveyard ───────────────────────────────────────────
-// Neighbors: top→(2,1) Tower, left→(1,2) Underhalls
-function cell_2_2() {
-  return makePNG(400, 400, (x, y) => {
-    const nx = x/70, ny = y/70;
-    const n = fbm(nx, ny, 333);
-
-    // Dark, slightly purple-tinted earth
-    let r = Math.round(lerp(28, 60, n));
-    let g = Math.round(lerp(38, 72, n));
-    let b = Math.round(lerp(25, 55, n));
-
-    // Dead grass patches
-    const gn = fbm(nx*3+2, ny*3+2, 444, 3);
-    if (gn > 0.55) {
-      r=Math.round(lerp(r,60,0.4)); g=Math.round(lerp(g,70,0.4)); b=Math.round(lerp(b,30,0.4));
-    }
-
-    // Tombstones
-    const tombs = [
-      [70,80,32,48],[160,100,28,44],[280,70,30,46],
-      [110,200,26,42],[230,220,32,50],[340,190,28,44],
-      [80,320,30,46],[190,340,26,40],[310,310,34,52],[370,350,24,38]
-    ];
-    for (const [tx,ty,tw,th] of tombs) {
-      if (x>tx && x<tx+tw && y>ty && y<ty+th) {
-        const tn = fbm((x-tx)/8, (y-ty)/8, 77);
-        r=Math.round(lerp(90,130,tn));
-        g=Math.round(lerp(88,125,tn));
-        b=Math.round(lerp(92,130,tn));
-        if (Math.abs(y-(ty+th*0.4)) < 2 && x>tx+4 && x<tx+tw-4) {
-          r=Math.round(r*0.6); g=Math.round(g*0.6); b=Math.round(b*0.6);
-        }
-        const topR = tw/2, topCY = ty + topR;
-        if (y < topCY && Math.hypot(x-(tx+tw/2), y-topCY) < topR) {
-          r=Math.round(lerp(90,130,tn));
-          g=Math.round(lerp(88,125,tn));
-          b=Math.round(lerp(92,130,tn));
+// Rooms, stamps, monster tokens and the room key for a dungeon world
+function buildDungeon(world, opts, seed, makeToken) {
+  const rng = mulberry32(seed ^ 0x68e31da4);
+  const target = opts.rooms !== undefined ? parseInt(opts.rooms, 10) : Math.round(world.cols * world.rows * 1.5);
+  if (!(target >= 2 && target <= 200)) fail('--rooms must be between 2 and 200.');
+  const d = layoutDungeon(world, rng, target);
+  if (d.rooms.length < 2) fail('Could not fit two rooms — try a bigger world.');
+
+  // Entrance: the room nearest the requested start cell (or the first room);
+  // the boss waits in the room farthest from it
+  const px = r => ({ x: r.x * SNAP, y: r.y * SNAP, w: r.w * SNAP, h: r.h * SNAP });
+  const centre = r => [(r.cx + 0.5) * SNAP, (r.cy + 0.5) * SNAP];
+  const want = opts.start ? world.start.map(v => (v + 0.5) * CELL) : centre(d.rooms[0]);
+  const gap = (r, p) => Math.hypot(centre(r)[0] - p[0], centre(r)[1] - p[1]);
+  const entrance = d.rooms.reduce((best, r) => gap(r, want) < gap(best, want) ? r : best);
+  const boss = d.rooms.reduce((best, r) => gap(r, centre(entrance)) > gap(best, centre(entrance)) ? r : best);
+  world.start = centre(entrance).map(v => Math.floor(v / CELL));
+
+  const roster = opts.monsters && opts.monsters !== 'none' ? readRoster(opts.monsters, 'monster') : DUNGEON_MONSTERS;
+  const stamps = [];
+  const tokens = [];
+  const key = [];
+  const notes = [];   // { stampId, title, text } → DM notes
+  let stampNo = 0;
+  const stamp = (emoji, wx, wy, label, title, text) => {
+    const st = { id: `stamp_${BASE_TIME}_${++stampNo}`, emoji, worldX: Math.round(wx), worldY: Math.round(wy), label };
+    stamps.push(st);
+    notes.push({ stampId: st.id, title, text });
+    return st;
+  };
+  const kinds = ROOM_KINDS.slice();
+  const taken = new Set();
+
+  // Number rooms outward from the entrance, the way a DM reads a key
+  const ordered = d.rooms.slice().sort((a, b) => gap(a, centre(entrance)) - gap(b, centre(entrance)));
+  ordered.forEach((room, i) => {
+    const number = i + 1;
+    const kind = room === entrance ? { name: 'Entrance Hall', text: 'Worn steps lead down from the surface. Daylight reaches only the first few paces.' }
+      : room === boss ? { name: 'Inner Sanctum', text: 'The heart of the dungeon, lit by a guttering green flame.' }
+      : kinds.splice(Math.floor(rng() * kinds.length), 1)[0] || ROOM_KINDS[Math.floor(rng() * ROOM_KINDS.length)];
+    const monsters = [];
+    if (opts.monsters !== 'none' && room !== entrance) {
+      const pool = room === boss && !opts.monsters ? [DUNGEON_BOSS] : [];
+      const count = room === boss ? 1 + Math.floor(rng() * 2) : (rng() < 0.55 ? 1 + Math.floor(rng() * 3) : 0);
+      for (let m = 0; m < count; m++) pool.push(roster[Math.floor(rng() * roster.length)]);
+      for (const entry of pool) {
+        const token = makeToken(entry, 'DM');
+        for (let tries = 0; tries < 30; tries++) {
+          const tx = room.x + Math.floor(rng() * room.w), ty = room.y + Math.floor(rng() * room.h);
+          if (taken.has(`${tx},${ty}`)) continue;
+          taken.add(`${tx},${ty}`);
+          token.x = tx * SNAP + SNAP / 2; token.y = ty * SNAP + SNAP / 2;
+          break;
         }
+        if (token.x === undefined) [token.x, token.y] = centre(room);
+        tokens.push(token);
+        monsters.push(entry.name);
       }
     }
+    const rect = px(room);
+    const entry = {
+      number,
+      name: kind.name,
+      description: kind.text,
+      cell: `${Math.floor(centre(room)[0] / CELL)},${Math.floor(centre(room)[1] / CELL)}`,
+      x: rect.x, y: rect.y, width: rect.w, height: rect.h,
+      size: `${room.w * 5} × ${room.h * 5} ft`,
+      monsters,
+      traps: [],
+    };
+    room.key = entry;
+    key.push(entry);
+  });
 
-    // Dead trees
-    const deadTrees = [[200,150],[350,280]];
-    for (const [dtx,dty] of deadTrees) {
-      if (Math.abs(x-dtx) < 5 && y > dty && y < dty+120) { r=50; g=40; b=32; }
-      const branches = [[-25,-40,-3,-10],[25,-45,3,-15],[0,-60,0,-20],[-15,-20,-30,-50],[15,-22,28,-48]];
-      for (const [bx1,by1,bx2,by2] of branches) {
-        const len = Math.hypot(bx2-bx1, by2-by1);
-        for (let t2=0; t2<=1; t2+=0.02) {
-          const bx = dtx + lerp(bx1,bx2,t2);
-          const by = dty + lerp(by1,by2,t2);
-          if (Math.hypot(x-bx, y-by) < 3) { r=50; g=40; b=32; }
-        }
-      }
-    }
+  // Traps in corridors and rooms (never the entrance)
+  const open = [];
+  for (let i = 0; i < d.tiles.length; i++) {
+    if ((d.tiles[i] === HALL || d.tiles[i] === FLOOR) && d.roomAt[i] !== entrance.id) open.push(i);
+  }
+  const trapCount = Math.max(1, Math.round(d.rooms.length / 3));
+  for (let t = 0; t < trapCount && open.length; t++) {
+    const i = open.splice(Math.floor(rng() * open.length), 1)[0];
+    const tx = i % d.W, ty = Math.floor(i / d.W);
+    const text = TRAPS[Math.floor(rng() * TRAPS.length)];
+    const room = d.roomAt[i] >= 0 ? d.rooms[d.roomAt[i]] : null;
+    if (room) room.key.traps.push(text);
+    stamp('⚠️', (tx + 0.5) * SNAP, (ty + 0.5) * SNAP, 'Trap', `Trap${room ? ` (room ${room.key.number})` : ''}`, text);
+  }
+
+  for (const door of d.doors) {
+    const n = d.rooms[door.room].key.number;
+    stamp('🚪', (door.tx + 0.5) * SNAP, (door.ty + 0.5) * SNAP, 'Door', `Door — room ${n}`, `Door into room ${n}.`);
+  }
+  for (const room of ordered) {
+    const k = room.key;
+    const lines = [`${k.size}`, k.description];
+    if (k.monsters.length) lines.push(`Monsters: ${k.monsters.join(', ')}`);
+    if (k.traps.length) lines.push(`Traps: ${k.traps.join('; ')}`);
+    stamp('📜', ...centre(room), String(k.number), `${k.number}. ${k.name}`, lines.join('\n'));
+  }
 
-    // Mist / fog wisps
-    const mistN = fbm(nx*0.8+5, ny*0.8+5, 555, 2);
-    if (mistN > 0.58 && y > 200) {
-      const mt = (mistN-0.58)/0.42;
-      r=Math.round(lerp(r,170,mt*0.25));
-      g=Math.round(lerp(g,175,mt*0.25));
-      b=Math.round(lerp(b,180,mt*0.25));
+  const cells = {};
+  const total = world.cols * world.rows;
+  let done = 0;
+  for (let r = 0; r < world.rows; r++) {
+    for (let c = 0; c < world.cols; c++) {
+      console.log(`  [${++done}/${total}] Dungeon (${c},${r})...`);
+      cells[`${c},${r}`] = `data:image/png;base64,${paintDungeonCell(d, c, r, seed)}`;
     }
+  }
+  const entranceRect = px(entrance);
+  return { cells, stamps, notes, tokens, key, reveal: entranceRect, doors: d.doors.length, rooms: d.rooms.length };
+}
 
-    // Edge blending toward neighbors
-    [r, g, b] = edgeBlend(x, y, r, g, b, [
-      ['t', C_TOWER, 65, 0.65],   // tower above
-      ['l', C_UNDER, 55, 0.62],   // underhalls on left
-    ]);
+// ─── Command line ─────────────────────────────────────────────────────────────
 
-    return [clamp(r,0,255), clamp(g,0,255), clamp(b,0,255), 255];
+function fail(msg) {
+  console.error(`❌ ${msg}\n   Run with --help for options.`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { biome: [] };
+  const flags = new Set(['help', 'list-biomes', 'dungeon']);
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) fail(`Unexpected argument "${argv[i]}".`);
+    const key = m[1];
+    if (flags.has(key)) { opts[key] = true; continue; }
+    const value = m[2] !== undefined ? m[2] : argv[++i];
+    if (value === undefined) fail(`--${key} needs a value.`);
+    if (key === 'biome') opts.biome.push(value);
+    else opts[key] = value;
+  }
+  return opts;
+}
+
+function parseCell(text, what, cols, rows) {
+  const m = /^(\d+),(\d+)$/.exec(String(text).trim());
+  if (!m) fail(`${what} "${text}" should look like "col,row".`);
+  const c = +m[1], r = +m[2];
+  if (c >= cols || r >= rows) fail(`${what} ${c},${r} is outside the ${cols}×${rows} world.`);
+  return [c, r];
+}
+
+function parseDim(text, what, fallback) {
+  if (text === undefined) return fallback;
+  const n = parseInt(text, 10);
+  if (!(n >= 1 && n <= MAX_WORLD_DIM)) fail(`--${what} must be between 1 and ${MAX_WORLD_DIM}.`);
+  return n;
+}
+
+function checkBiome(name, where) {
+  if (!BIOMES[name]) fail(`Unknown biome "${name}" ${where}. Biomes: ${Object.keys(BIOMES).join(', ')}.`);
+  return name;
+}
+
+// Layout rows → biome grid; unset cells come from the seed
+function buildWorld(opts, seed) {
+  const layoutRows = opts.layout
+    ? opts.layout.split(';').map(r => r.split(',').map(s => s.trim()).filter(Boolean))
+    : (opts.cols || opts.rows ? [] : DEFAULT_LAYOUT);
+  const cols = parseDim(opts.cols, 'cols', Math.max(3, ...layoutRows.map(r => r.length)));
+  const rows = parseDim(opts.rows, 'rows', Math.max(3, layoutRows.length));
+  const pick = mulberry32(seed ^ 0x5bd1e995);
+  const names = Object.keys(BIOMES);
+  const biomes = [];
+  for (let r = 0; r < rows; r++) {
+    biomes.push([]);
+    for (let c = 0; c < cols; c++) {
+      const given = layoutRows[r] && layoutRows[r][c];
+      const roll = names[Math.floor(pick() * names.length)];
+      biomes[r].push(given ? checkBiome(given, `in --layout at ${c},${r}`) : roll);
+    }
+  }
+  for (const spec of opts.biome) {
+    const [cell, name] = spec.split('=');
+    if (!name) fail(`--biome "${spec}" should look like "col,row=biome".`);
+    const [c, r] = parseCell(cell, '--biome cell', cols, rows);
+    biomes[r][c] = checkBiome(name.trim(), `for --biome ${c},${r}`);
+  }
+  const start = opts.start
+    ? parseCell(opts.start, '--start', cols, rows)
+    : [Math.floor((cols - 1) / 2), Math.floor((rows - 1) / 2)];
+  return { cols, rows, biomes, start };
+}
+
+function readRoster(file, what) {
+  let list;
+  try { list = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { fail(`Could not read the ${what} roster ${file}: ${e.message}`); }
+  if (!Array.isArray(list)) fail(`The ${what} roster ${file} should be a JSON array.`);
+  list.forEach((e, i) => {
+    if (!e || typeof e !== 'object' || !e.name) fail(`${what} roster entry #${i + 1} in ${file} needs a "name".`);
   });
+  return list;
 }
 
-// ──── Fog canvas generators ───────────────────────────────────────────────────
+// ─── Tokens ───────────────────────────────────────────────────────────────────
+
+const BASE_TIME = 1740000000000; // fixed so output never depends on the clock
+
+function makeTokenFactory() {
+  let next = 1;
+  return (entry, owner) => {
+    const token = {
+      id: BASE_TIME + next++,
+      type: 'emoji',
+      icon: entry.icon || '❓',
+      color: entry.color || GREY,
+      size: entry.size || 14,
+      owner: entry.owner || owner,
+      approved: true,
+      name: entry.name,
+    };
+    for (const k of ['hp', 'hpMax', 'ac', 'speed']) if (entry[k] !== undefined) token[k] = entry[k];
+    return token;
+  };
+}
 
-function makeFogFull() {
-  return makePNG(1200, 1200, () => [0, 0, 0, 255]);
+// Free token-grid spot inside a cell, away from the edges and other tokens
+function spotInCell(rng, [col, row], taken) {
+  for (let tries = 0; tries < 40; tries++) {
+    const x = col * CELL + SNAP * (2 + Math.floor(rng() * (CELL / SNAP - 4)));
+    const y = row * CELL + SNAP * (2 + Math.floor(rng() * (CELL / SNAP - 4)));
+    if (!taken.has(`${x},${y}`)) { taken.add(`${x},${y}`); return [x, y]; }
+  }
+  return [col * CELL + CELL / 2, row * CELL + CELL / 2];
 }
 
-function makeFogCenterRevealed() {
-  return makePNG(1200, 1200, (x, y) => {
-    if (x >= 400 && x <= 800 && y >= 400 && y <= 800) {
-      const ex = Math.min(x - 400, 800 - x) / 40;
-      const ey = Math.min(y - 400, 800 - y) / 40;
-      const edge = clamp(Math.min(ex, ey), 0, 1);
-      return [0, 0, 0, Math.round((1 - edge) * 0)];
+function placeMonsters(world, opts, seed, makeToken) {
+  const rng = mulberry32(seed ^ 0x27d4eb2f);
+  const taken = new Set();
+  const tokens = [];
+  const place = (entry, cell) => {
+    for (let n = 0; n < (entry.count || 1); n++) {
+      const token = makeToken(entry, 'DM');
+      if (entry.x !== undefined && entry.y !== undefined) { token.x = entry.x; token.y = entry.y; }
+      else if (entry.at) { token.x = cell[0] * CELL + entry.at[0]; token.y = cell[1] * CELL + entry.at[1]; }
+      else [token.x, token.y] = spotInCell(rng, cell, taken);
+      tokens.push(token);
     }
-    if (x >= 440 && x <= 760 && y >= 340 && y <= 400) {
-      const t = (y - 340) / 60;
-      return [0, 0, 0, Math.round(lerp(255, 0, t))];
+  };
+
+  if (opts.monsters === 'none') return tokens;
+  if (opts.monsters) {
+    const away = [];
+    for (let r = 0; r < world.rows; r++) for (let c = 0; c < world.cols; c++) {
+      if (c !== world.start[0] || r !== world.start[1]) away.push([c, r]);
     }
-    if (x >= 800 && x <= 870 && y >= 440 && y <= 760) {
-      const t = (x - 800) / 70;
-      return [0, 0, 0, Math.round(lerp(0, 255, t))];
+    for (const entry of readRoster(opts.monsters, 'monster')) {
+      const cell = entry.cell ? parseCell(entry.cell, `Monster "${entry.name}" cell`, world.cols, world.rows)
+        : (away.length ? away[Math.floor(rng() * away.length)] : world.start);
+      place(entry, cell);
     }
-    return [0, 0, 0, 255];
-  });
+    return tokens;
+  }
+  // Default: each cell's biome brings its own encounter
+  for (let r = 0; r < world.rows; r++) for (let c = 0; c < world.cols; c++) {
+    for (const entry of BIOMES[world.biomes[r][c]].monsters) place(entry, [c, r]);
+  }
+  return tokens;
 }
 
-// ──── Build the campaign JSON ──────────────────────────────────────────────────
-
-console.log('Generating terrain tiles (this may take ~30s)...');
-
-console.log('  [1/9] Elderwood Forest (0,0)...');
-const t00 = cell_0_0();
-console.log('  [2/9] Forest Trail (1,0)...');
-const t10 = cell_1_0();
-console.log('  [3/9] Stormcrest Peaks (2,0)...');
-const t20 = cell_2_0();
-console.log('  [4/9] Silverbrook Crossing (0,1)...');
-const t01 = cell_0_1();
-console.log('  [5/9] Ruins of Ashenvale courtyard (1,1)...');
-const t11 = cell_1_1();
-console.log('  [6/9] Sunken Tower (2,1)...');
-const t21 = cell_2_1();
-console.log('  [7/9] Maw of Darkness (0,2)...');
-const t02 = cell_0_2();
-console.log('  [8/9] The Underhalls (1,2)...');
-const t12 = cell_1_2();
-console.log('  [9/9] Whisper Graveyard (2,2)...');
-const t22 = cell_2_2();
-
-console.log('Generating fog of war canvases...');
-const fogFull     = makeFogFull();
-const fogRevealed = makeFogCenterRevealed();
-
-console.log('Assembling campaign...');
+// ─── Build the campaign ───────────────────────────────────────────────────────
 
-const GOLD   = '#c8922a';
-const RED    = '#9b2335';
-const BLUE   = '#1e3a5f';
-const GREEN  = '#1a4a2e';
-const PURPLE = '#4a1a7a';
-const GREY   = '#3a3a3a';
+// Plain text → the HTML a DM note holds
+function noteHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+}
 
-const now = new Date().toISOString();
-const baseTime = 1740000000000;
-
-const campaign = {
-  version: '4.0',
-  name: 'The Ruins of Ashenvale',
-  sessionId: 'ashenvale-2226',
-  exported: now,
-
-  gridCells: {
-    '0,0': `data:image/png;base64,${t00}`,
-    '1,0': `data:image/png;base64,${t10}`,
-    '2,0': `data:image/png;base64,${t20}`,
-    '0,1': `data:image/png;base64,${t01}`,
-    '1,1': `data:image/png;base64,${t11}`,
-    '2,1': `data:image/png;base64,${t21}`,
-    '0,2': `data:image/png;base64,${t02}`,
-    '1,2': `data:image/png;base64,${t12}`,
-    '2,2': `data:image/png;base64,${t22}`,
-  },
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'campaign';
+}
 
-  lockedCells: {
-    '0,2': true,
-    '1,2': true,
-  },
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    const doc = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+    console.log(doc.split('\n').map(l => l.replace(/^ \* ?/, '')).join('\n').trim());
+    return;
+  }
+  if (opts['list-biomes']) {
+    for (const [name, b] of Object.entries(BIOMES)) console.log(`  ${name.padEnd(11)} ${b.label}${b.locked ? ' (locked)' : ''}`);
+    return;
+  }
 
-  fogGroups: {
-    everyone: {
-      name: 'Everyone',
-      canvas: `data:image/png;base64,${fogRevealed}`,
-    },
-    partyA: {
-      name: 'Scouting Party',
-      canvas: `data:image/png;base64,${fogFull}`,
+  const seedText = opts.seed !== undefined ? opts.seed : '2226';
+  const seed = seedFrom(seedText);
+  const name = opts.name || 'The Ruins of Ashenvale';
+  const outPath = path.resolve(opts.out || path.join(__dirname, 'campaigns', `${slug(name)}.json`));
+  const world = buildWorld(opts, seed);
+  const makeToken = makeTokenFactory();
+  const party = (opts.party ? readRoster(opts.party, 'party') : DEFAULT_PARTY)
+    .flatMap(entry => Array.from({ length: entry.count || 1 }, () => makeToken(entry, entry.name)));
+
+  console.log(`Generating ${world.cols}×${world.rows} ${opts.dungeon ? 'dungeon' : 'world'} "${name}" (seed ${seedText})...`);
+  let cells = {}, monsters, stamps = [], stampNotes = [], roomKey = null, reveal;
+  const lockedCells = {};
+  if (opts.dungeon) {
+    const dungeon = buildDungeon(world, opts, seed, makeToken);
+    ({ cells, stamps } = dungeon);
+    stampNotes = dungeon.notes;
+    monsters = dungeon.tokens;
+    roomKey = dungeon.key;
+    reveal = dungeon.reveal;
+    console.log(`  ${dungeon.rooms} rooms, ${dungeon.doors} doors, ${stamps.length - dungeon.rooms - dungeon.doors} traps`);
+  } else {
+    monsters = placeMonsters(world, opts, seed, makeToken);
+    const total = world.cols * world.rows;
+    let done = 0;
+    for (let r = 0; r < world.rows; r++) {
+      for (let c = 0; c < world.cols; c++) {
+        const biome = BIOMES[world.biomes[r][c]];
+        console.log(`  [${++done}/${total}] ${biome.label} (${c},${r})...`);
+        cells[`${c},${r}`] = `data:image/png;base64,${paintCell(world, c, r, seed)}`;
+        if (biome.locked) lockedCells[`${c},${r}`] = true;
+      }
+    }
+    reveal = { x: world.start[0] * CELL, y: world.start[1] * CELL, w: CELL, h: CELL };
+  }
+
+  console.log('Generating fog of war...');
+  const fog = { everyone: `data:image/png;base64,${makeFog(world.cols, world.rows, reveal)}` };
+
+  // Same envelope the site's 💾 Save .JSON writes (CAMPAIGN_SCHEMA_VERSION 5)
+  const tabId = `tab_${BASE_TIME}`;
+  const campaign = {
+    format: 'noodle-campaign',
+    version: 5,
+    exported: new Date(BASE_TIME).toISOString(),
+    sessionId: `${slug(name)}-${seed}`,
+    room: {
+      main: {
+        tokens: [...party, ...monsters],
+        lockedCells,
+        zoom: 1, panX: 0, panY: 0,
+        fogGroupNames: ['everyone'],
+        fogGroupLabels: { everyone: 'Everyone' },
+        fogAssignments: {},
+        campaignName: name,
+        campaignCharacters: {},
+        mapTabs: [{ id: tabId, name: 'Map 1' }],
+        activeTabId: tabId,
+        worldCols: world.cols, worldRows: world.rows,
+        activeFogGroup: 'everyone',
+        currentCellX: world.start[0], currentCellY: world.start[1],
+        gridSnapEnabled: true,
+        playerData: [],
+        schemaVersion: 5,
+        savedAt: BASE_TIME,
+      },
+      cells,
+      fog,
+      images: [],
+      stamps,
+      subMaps: {},
+      tabs: {},
+      // DM-only: the site keeps these out of everything players load
+      notes: stampNotes.map((n, i) => ({
+        id: `note_${BASE_TIME}_${i + 1}`, tabId, kind: 'stamp', ref: n.stampId,
+        title: n.title, html: noteHTML(n.text), updatedAt: BASE_TIME,
+      })),
     },
-  },
-  activeFogGroup: 'everyone',
-
-  stagingTokens: [
-    { id: baseTime+1, type:'emoji', icon:'⚔️', color:BLUE,   size:14, owner:'Player 1', approved:true, name:'Fighter' },
-    { id: baseTime+2, type:'emoji', icon:'🧙', color:PURPLE, size:14, owner:'Player 2', approved:true, name:'Wizard' },
-    { id: baseTime+3, type:'emoji', icon:'🏹', color:GREEN,  size:14, owner:'Player 3', approved:true, name:'Ranger' },
-    { id: baseTime+4, type:'emoji', icon:'✨', color:GOLD,   size:14, owner:'Player 4', approved:true, name:'Cleric' },
-  ],
-
-  placedTokens: [
-    { id:baseTime+10, type:'emoji', icon:'👹', color:RED,    size:14, owner:'DM', approved:true, name:'Goblin Scout',        x:530,  y:480 },
-    { id:baseTime+11, type:'emoji', icon:'👹', color:RED,    size:14, owner:'DM', approved:true, name:'Goblin Archer',       x:700,  y:510 },
-    { id:baseTime+12, type:'emoji', icon:'💀', color:GREY,   size:14, owner:'DM', approved:true, name:'Skeleton Guard',      x:600,  y:680 },
-    { id:baseTime+13, type:'emoji', icon:'🔮', color:PURPLE, size:12, owner:'DM', approved:true, name:'Arcane Focus',        x:600,  y:600 },
-    { id:baseTime+20, type:'emoji', icon:'🧟', color:GREEN,  size:14, owner:'DM', approved:true, name:'Zombie Guard',        x:920,  y:520 },
-    { id:baseTime+21, type:'emoji', icon:'🗡️', color:GREY,   size:12, owner:'DM', approved:true, name:'Tower Warden',        x:1050, y:650 },
-    { id:baseTime+30, type:'emoji', icon:'🕷️', color:GREY,   size:12, owner:'DM', approved:true, name:'Giant Spider',        x:180,  y:940 },
-    { id:baseTime+31, type:'emoji', icon:'🕷️', color:GREY,   size:12, owner:'DM', approved:true, name:'Giant Spider',        x:240,  y:1020 },
-    { id:baseTime+40, type:'emoji', icon:'☠️', color:'#2a0a2a', size:18, owner:'DM', approved:true, name:'Malgrath the Undying', x:1000, y:980 },
-    { id:baseTime+41, type:'emoji', icon:'💀', color:GREY,   size:12, owner:'DM', approved:true, name:'Skeleton',            x:870,  y:870 },
-    { id:baseTime+42, type:'emoji', icon:'💀', color:GREY,   size:12, owner:'DM', approved:true, name:'Skeleton',            x:1100, y:920 },
-  ],
-
-  placedImages: [],
-
-  playerData: [
-    { name:'Player 1', role:'player', peerId:'player1-peer' },
-    { name:'Player 2', role:'player', peerId:'player2-peer' },
-    { name:'Player 3', role:'player', peerId:'player3-peer' },
-    { name:'Player 4', role:'player', peerId:'player4-peer' },
-  ],
-
-  zoom:           1.0,
-  panX:           0,
-  panY:           0,
-  currentCellX:   1,
-  currentCellY:   1,
-  gridSnapEnabled: true,
-};
+  };
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(campaign, null, 2));
+
+  const stats = fs.statSync(outPath);
+  console.log(`\n✅ Campaign written to: ${outPath}`);
+  console.log(`   File size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+  if (roomKey) {
+    const keyPath = outPath.replace(/\.json$/i, '') + '.rooms.json';
+    fs.writeFileSync(keyPath, JSON.stringify({ campaign: name, seed: seedText, rooms: roomKey }, null, 2));
+    console.log(`   Room key: ${keyPath}`);
+  }
+  console.log(`   ${party.length} party tokens, ${monsters.length} monsters, start cell ${world.start.join(',')}`);
+}
 
-const outPath = '/home/user/dnd-save/campaigns/ruins_of_ashenvale.json';
-fs.mkdirSync('/home/user/dnd-save/campaigns', { recursive: true });
-fs.writeFileSync(outPath, JSON.stringify(campaign, null, 2));
-
-const stats = fs.statSync(outPath);
-console.log(`\n✅ Campaign written to: ${outPath}`);
-console.log(`   File size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
-console.log('\nImprovements in this version:');
-console.log('  - Neighbor-aware edge blending at every tile border');
-console.log('  - River flows continuously from forest (0,0) through crossing (0,1) into cave (0,2)');
-console.log('  - Forest trail path connects into ruins courtyard entrance');
-console.log('  - Underhalls top edge blends strongly into ruins stone (80-90px)');
-console.log('  - All seams use quadratic falloff for smooth transitions');
+main();
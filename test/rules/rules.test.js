@@ -0,0 +1,221 @@
+/**
+ * firestore.rules against the Firestore emulator.
+ *
+ *   cd test/rules && npm install && npm test
+ *
+ * `npm test` starts the emulator (needs Java) and runs this file with
+ * node --test. Rooms: "room1" is owned by auth uid "dm", with "player" and
+ * "codm" as members; "oldroom" and "aliceold" date from before rooms had
+ * owners. Accounts: "alice" signs in down a hash chain and last opened
+ * "aliceold", "bob" still has the unsalted passwordHash from before salting.
+ */
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const sha256Hex = text => crypto.createHash('sha256').update(text).digest('hex');
+const hashChain = (key, rounds) => { let h = key; for (let i = 0; i < rounds; i++) h = sha256Hex(h); return h; };
+
+const ALICE_KEY = 'a1'.repeat(32);   // stands in for the PBKDF2 key
+const ALICE_ROUNDS = 50;
+const BOB_HASH = sha256Hex('bob:hunter2');
+const SALT = { kdf: 'pbkdf2-sha256', iterations: 600000, salt: 'f0'.repeat(16) };
+
+let env;
+
+before(async () => {
+    env = await initializeTestEnvironment({
+        projectId: 'demo-noodlednd',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '../../firestore.rules'), 'utf8') }
+    });
+});
+
+after(async () => { if (env) await env.cleanup(); });
+
+beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async ctx => {
+        const db = ctx.firestore();
+        await db.doc('vtt_rooms/room1').set({ ownerUid: 'dm', currentPeerId: 'room1' });
+        await db.doc('vtt_rooms/room1__cell_0_0').set({ data: 'cell' });
+        await db.doc('vtt_rooms/room1__chat').set({ messages: [] });
+        for (const doc of ['journal', 'handouts', 'dmnotes', 'dmtabs']) {
+            await db.doc(`vtt_rooms/room1__${doc}`).set({ secret: true });
+        }
+        await db.doc('vtt_rooms/room1/members/player').set({ name: 'Pip', role: 'player' });
+        await db.doc('vtt_rooms/room1/members/codm').set({ name: 'Cass', role: 'co-dm' });
+        await db.doc('vtt_rooms/oldroom').set({ currentPeerId: 'oldroom' });
+        await db.doc('vtt_rooms/aliceold').set({ currentPeerId: 'aliceold' });
+
+        await db.doc('vtt_user_salts/alice').set({ ...SALT, rounds: ALICE_ROUNDS });
+        await db.doc('vtt_users/alice').set({ verifier: hashChain(ALICE_KEY, ALICE_ROUNDS), roomId: 'aliceold', createdAt: 1 });
+        await db.doc('vtt_users/bob').set({ passwordHash: BOB_HASH, roomId: 'oldroom' });
+    });
+});
+
+const as = uid => env.authenticatedContext(uid).firestore();
+
+// The batch index.html's openDMSession writes
+function aliceSignIn(db, uid, link, rounds) {
+    const batch = db.batch();
+    batch.update(db.doc('vtt_users/alice'), { verifier: link });
+    batch.update(db.doc('vtt_user_salts/alice'), { rounds });
+    batch.set(db.doc(`vtt_users/alice/sessions/${uid}`), { createdAt: 1 });
+    return batch.commit();
+}
+
+// ── Rooms ──
+
+test('the owner reads and writes the room', async () => {
+    const db = as('dm');
+    await assertSucceeds(db.doc('vtt_rooms/room1').get());
+    await assertSucceeds(db.doc('vtt_rooms/room1').set({ lastSeen: 2 }, { merge: true }));
+    await assertSucceeds(db.doc('vtt_rooms/room1__cell_0_0').set({ data: 'new' }));
+});
+
+test('members read the room but only write chat and dice', async () => {
+    for (const uid of ['player', 'codm']) {
+        const db = as(uid);
+        await assertSucceeds(db.doc('vtt_rooms/room1').get());
+        await assertSucceeds(db.doc('vtt_rooms/room1__cell_0_0').get());
+        await assertSucceeds(db.doc('vtt_rooms/room1__chat').set({ messages: ['hi'] }));
+        await assertFails(db.doc('vtt_rooms/room1__cell_0_0').set({ data: 'graffiti' }));
+        await assertFails(db.doc('vtt_rooms/room1').set({ ownerUid: uid }, { merge: true }));
+    }
+});
+
+test('non-members can neither read nor write the room', async () => {
+    const db = as('stranger');
+    await assertFails(db.doc('vtt_rooms/room1').get());
+    await assertFails(db.doc('vtt_rooms/room1__cell_0_0').get());
+    await assertFails(db.doc('vtt_rooms/room1__chat').set({ messages: ['hi'] }));
+    await assertFails(db.doc('vtt_rooms/room1').set({ ownerUid: 'stranger' }, { merge: true }));
+    await assertFails(env.unauthenticatedContext().firestore().doc('vtt_rooms/room1').get());
+});
+
+test('journal, handouts, DM notes and tab tokens are DM-only', async () => {
+    for (const doc of ['journal', 'handouts', 'dmnotes', 'dmtabs']) {
+        await assertSucceeds(as('dm').doc(`vtt_rooms/room1__${doc}`).get());
+        await assertFails(as('player').doc(`vtt_rooms/room1__${doc}`).get());
+        await assertFails(as('codm').doc(`vtt_rooms/room1__${doc}`).get());
+    }
+});
+
+test('only the DM manages members and reads the inbox', async () => {
+    await assertSucceeds(as('dm').doc('vtt_rooms/room1/members/newbie').set({ role: 'player' }));
+    await assertFails(as('player').doc('vtt_rooms/room1/members/friend').set({ role: 'player' }));
+    await assertSucceeds(as('stranger').collection('vtt_rooms/room1/inbox')
+        .add({ type: 'playerJoinRequest', uid: 'stranger' }));
+    await assertFails(as('stranger').collection('vtt_rooms/room1/inbox').add({ type: 'chat', uid: 'stranger' }));
+    await assertFails(as('player').collection('vtt_rooms/room1/inbox').get());
+});
+
+test('a room from before ownership cannot be claimed by others', async () => {
+    await assertFails(as('stranger').doc('vtt_rooms/oldroom').set({ ownerUid: 'stranger' }, { merge: true }));
+    await assertFails(as('dm').doc('vtt_rooms/oldroom').set({ ownerUid: 'dm', owner: 'alice' }, { merge: true }));
+    await assertFails(as('stranger').doc('vtt_rooms/oldroom').get());
+});
+
+test('a room from before ownership goes once to the account that last opened it', async () => {
+    const claim = (db, uid) => db.doc('vtt_rooms/aliceold').set({ ownerUid: uid, owner: 'alice' }, { merge: true });
+    await assertFails(claim(as('dev1'), 'dev1'));
+    await assertSucceeds(aliceSignIn(as('dev1'), 'dev1', hashChain(ALICE_KEY, ALICE_ROUNDS - 1), ALICE_ROUNDS - 1));
+    await assertFails(as('dev1').doc('vtt_rooms/aliceold').set({ ownerUid: 'someone', owner: 'alice' }, { merge: true }));
+    await assertSucceeds(claim(as('dev1'), 'dev1'));
+    await assertSucceeds(as('dev1').doc('vtt_rooms/aliceold__cell_0_0').set({ data: 'cell' }));
+    // Claimed rooms follow the normal owner rules from then on
+    await assertFails(as('stranger').doc('vtt_rooms/aliceold').set({ ownerUid: 'stranger' }, { merge: true }));
+});
+
+test('an account cannot point its roomId at a room it does not own', async () => {
+    const db = as('dev1');
+    await assertSucceeds(aliceSignIn(db, 'dev1', hashChain(ALICE_KEY, ALICE_ROUNDS - 1), ALICE_ROUNDS - 1));
+    await assertFails(db.doc('vtt_users/alice').set({ roomId: 'oldroom' }, { merge: true }));
+    await assertFails(db.doc('vtt_users/alice').set({ roomId: 'room1' }, { merge: true }));
+    await assertSucceeds(db.doc('vtt_users/alice').set({ roomId: 'brandnew' }, { merge: true }));
+    await assertFails(db.doc('vtt_rooms/oldroom').set({ ownerUid: 'dev1', owner: 'alice' }, { merge: true }));
+});
+
+test('a new room goes to whoever creates it', async () => {
+    await assertSucceeds(as('dm2').doc('vtt_rooms/fresh').set({ ownerUid: 'dm2' }));
+    await assertFails(as('dm3').doc('vtt_rooms/fresh').set({ ownerUid: 'dm3' }, { merge: true }));
+});
+
+// ── DM accounts ──
+
+test('signing in reveals the next chain link', async () => {
+    const db = as('dev1');
+    await assertSucceeds(aliceSignIn(db, 'dev1', hashChain(ALICE_KEY, ALICE_ROUNDS - 1), ALICE_ROUNDS - 1));
+    await assertSucceeds(db.doc('vtt_users/alice').get());
+    await assertSucceeds(db.doc('vtt_rooms/aliceroom').set({ ownerUid: 'dev1', owner: 'alice' }));
+    // Another of alice's devices opens the room through the account
+    const dev2 = as('dev2');
+    await assertFails(dev2.doc('vtt_rooms/aliceroom').get());
+    await assertSucceeds(aliceSignIn(dev2, 'dev2', hashChain(ALICE_KEY, ALICE_ROUNDS - 2), ALICE_ROUNDS - 2));
+    await assertSucceeds(dev2.doc('vtt_rooms/aliceroom').get());
+    await assertSucceeds(dev2.doc('vtt_rooms/aliceroom').set({ ownerUid: 'dev2', owner: 'alice' }, { merge: true }));
+});
+
+test('a wrong link is refused', async () => {
+    const db = as('dev1');
+    await assertFails(aliceSignIn(db, 'dev1', sha256Hex('guess'), ALICE_ROUNDS - 1));
+    await assertFails(aliceSignIn(db, 'dev1', hashChain(ALICE_KEY, ALICE_ROUNDS), ALICE_ROUNDS - 1));
+    await assertFails(db.doc('vtt_users/alice').get());
+});
+
+test('a session needs the chain step in the same batch', async () => {
+    await assertFails(as('dev1').doc('vtt_users/alice/sessions/dev1').set({ createdAt: 1 }));
+    await assertFails(as('dev1').doc('vtt_users/alice/sessions/dev1').set({ createdAt: 1, key: ALICE_KEY }));
+});
+
+test('the salt rounds only count down by one', async () => {
+    await assertFails(aliceSignIn(as('dev1'), 'dev1', hashChain(ALICE_KEY, ALICE_ROUNDS - 1), ALICE_ROUNDS + 5));
+});
+
+test('a revealed link cannot be replayed', async () => {
+    const link = hashChain(ALICE_KEY, ALICE_ROUNDS - 1);
+    await assertSucceeds(aliceSignIn(as('dev1'), 'dev1', link, ALICE_ROUNDS - 1));
+    // Someone who saw the stored verifier tries it on their own session
+    await assertFails(aliceSignIn(as('thief'), 'thief', link, ALICE_ROUNDS - 2));
+    // The owner moves on with the next link
+    await assertSucceeds(aliceSignIn(as('dev2'), 'dev2', hashChain(ALICE_KEY, ALICE_ROUNDS - 2), ALICE_ROUNDS - 2));
+    const stored = await env.withSecurityRulesDisabled(ctx => ctx.firestore().doc('vtt_users/alice').get());
+    assert.notStrictEqual(stored.data().verifier, ALICE_KEY);
+});
+
+test('sessions only open and strip their own doc', async () => {
+    await assertSucceeds(aliceSignIn(as('dev1'), 'dev1', hashChain(ALICE_KEY, ALICE_ROUNDS - 1), ALICE_ROUNDS - 1));
+    await assertFails(as('thief').doc('vtt_users/alice/sessions/dev1').get());
+    await assertFails(as('thief').doc('vtt_users/alice/sessions/thief').set({ createdAt: 1 }));
+    await assertSucceeds(as('dev1').doc('vtt_users/alice/sessions/dev1').set({ createdAt: 2 }));
+});
+
+test('a pre-salting account upgrades with its old hash', async () => {
+    const upgrade = (db, uid, legacyHash) => {
+        const batch = db.batch();
+        batch.set(db.doc(`vtt_users/bob/sessions/${uid}`), { legacyHash, createdAt: 1 });
+        batch.set(db.doc('vtt_user_salts/bob'), { ...SALT, rounds: 20 });
+        batch.set(db.doc('vtt_users/bob'), { verifier: hashChain('b0'.repeat(32), 20), roomId: 'oldroom' });
+        return batch.commit();
+    };
+    await assertFails(upgrade(as('thief'), 'thief', sha256Hex('bob:wrong')));
+    await assertSucceeds(upgrade(as('bobdev'), 'bobdev', BOB_HASH));
+    // Once upgraded the old hash opens nothing
+    await assertFails(upgrade(as('thief'), 'thief', BOB_HASH));
+    await assertFails(as('thief').doc('vtt_users/bob/sessions/thief').set({ legacyHash: BOB_HASH, createdAt: 1 }));
+});
+
+test('a username is taken by its first account', async () => {
+    const create = (db, name) => {
+        const batch = db.batch();
+        batch.set(db.doc(`vtt_user_salts/${name}`), { ...SALT, rounds: 20 });
+        batch.set(db.doc(`vtt_users/${name}`), { verifier: hashChain('c0'.repeat(32), 20), createdAt: 1 });
+        return batch.commit();
+    };
+    await assertSucceeds(create(as('new1'), 'carol'));
+    await assertFails(create(as('new2'), 'carol'));
+    await assertFails(create(as('new2'), 'alice'));
+});